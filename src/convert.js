@@ -0,0 +1,12 @@
+/*!
+ *	Hue Wheel color conversions
+ *	(c) 2013-2016 Epistemex.com
+ *	License: MIT
+*/
+
+/*
+ *	CommonJS entry for the DOM-free conversions (see HueWheel.convert):
+ *
+ *	var convert = require("./convert.js");
+*/
+module.exports = require("./huewheel.js").convert;
@@ -0,0 +1,44 @@
+/*!
+ *	Hue Wheel color conversions
+ *	(c) 2013-2016 Epistemex.com
+ *	License: MIT
+*/
+
+/*
+ *	ES module entry for the DOM-free conversions (see HueWheel.convert),
+ *	works in Node and browsers:
+ *
+ *	import {rgb2hsl, parse} from "./convert.mjs";
+*/
+import * as hueWheel from "./huewheel.js";
+
+// Node exposes the CommonJS export as default, browsers get the global set by huewheel.js
+var convert = (hueWheel["default"] || globalThis.HueWheel).convert;
+
+export var validateRGB = convert.validateRGB,
+	hsl2rgb = convert.hsl2rgb,
+	hsv2rgb = convert.hsv2rgb,
+	hwb2rgb = convert.hwb2rgb,
+	rgb2hsl = convert.rgb2hsl,
+	rgb2hsv = convert.rgb2hsv,
+	rgb2hwb = convert.rgb2hwb,
+	cmyk2rgb = convert.cmyk2rgb,
+	rgb2cmyk = convert.rgb2cmyk,
+	oklab2rgb = convert.oklab2rgb,
+	rgb2oklab = convert.rgb2oklab,
+	oklch2rgb = convert.oklch2rgb,
+	rgb2oklch = convert.rgb2oklch,
+	oklchInGamut = convert.oklchInGamut,
+	lab2rgb = convert.lab2rgb,
+	rgb2lab = convert.rgb2lab,
+	lch2rgb = convert.lch2rgb,
+	rgb2lch = convert.rgb2lch,
+	lchInGamut = convert.lchInGamut,
+	luminance = convert.luminance,
+	contrast = convert.contrast,
+	apca = convert.apca,
+	parse = convert.parse,
+	format = convert.format,
+	namedColors = convert.namedColors;
+
+export default convert;
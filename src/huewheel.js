@@ -1,5 +1,5 @@
 /*!
- *	Hue Wheel 1.2.2
+ *	Hue Wheel 1.3.0
  *	(c) 2013-2016 Epistemex.com
  *	License: MIT
 */
@@ -10,42 +10,75 @@
  * @param {String|HTMLElement} parent - parent element or ID of parent element to turn into a control (content will be replaced with the control).
  * @param {Object} [options] Options given as a JSON object
  * @param {Number} [options.diameter=250] diameter (in pixels) of control
+ * @param {Boolean} [options.autoSize=false] Follow the width of the parent element (diameter is ignored)
  * @param {Number} [options.shadowBlur=0] diameter (in pixels) of shadow
- * @param {String} [options.shadowColor='black'] CSS color of shadow if active (see shadowBlur)
+ * @param {String} [options.shadowColor='black'] CSS color of shadow if active (see shadowBlur). This and the other color options take precedence over the CSS custom properties (--huewheel-shadow-color etc., see README).
  * @param {Number} [options.hue=0] Initial hue angle [0, 360]
  * @param {Number} [options.saturation=1] Initial saturation value [0.0, 1.0]
  * @param {Number} [options.lightness=0.5] Initial lightness value [0.0, 1.0]
- * @param {Array} [options.rgb] Initial RGB value given as an array [r,g,b]
+ * @param {Number} [options.alpha=1] Initial alpha (opacity) value [0.0, 1.0]
+ * @param {Array} [options.rgb] Initial RGB value given as an array [r,g,b] or [r,g,b,a]
+ * @param {String} [options.color] Initial color given as a CSS color string, e.g. "#ff8800" or "hsl(32, 100%, 50%)" (see color())
  * @param {Boolean} [options.changeSaturation=false] Enable control to change saturation
  * @param {Boolean} [options.changeLightness=false] Enable control to change lightness
- * @param {String} [options.colorSpace='hsl'] Color space to use in control
+ * @param {Boolean} [options.changeAlpha=false] Enable control to change alpha (shows alpha ring inside the lightness ring)
+ * @param {String} [options.colorSpace='hsl'] Color space to use in control: "hsl", "hsv", "oklch" or "lch" (see colorSpace())
+ * @param {String} [options.whitePoint='D50'] Reference white for CIE Lab/LCh, "D50" or "D65" (see whitePoint())
+ * @param {String} [options.layout='radial'] Saturation and lightness control inside the hue ring: "radial", "triangle" or "square" (see layout(), "triangle" and "square" need "hsl" or "hsv")
  * @param {Boolean} [options.showColorSpot=true] Show current color in center of control
- * @param {Object|Function} [options.onChange] Function to call when current color changes
+ * @param {Function} [options.onChange] Function to call when current color changes (receives both "input" and "change" events, see on())
  * @param {Number} [options.colorSpotWidth=0.7] If showColor is used this is the ratio of the radius from center to the edge of hue wheel. Value can be [0.0, 1.0].
  * @param {Number} [options.colorSpotBorder=2] If showColor is used this is the width of the border. A value of 0 turns the border off.
  * @param {String} [options.colorSpotBorderColor='black'] If showColor and colorBorder > 0 this will be the color of the border.
  * @param {Number} [options.thicknessHue] Thickness of hue ring in pixels
  * @param {Number} [options.thicknessLightness] Thickness of lightness ring in pixels
+ * @param {Number} [options.thicknessAlpha] Thickness of alpha ring in pixels
  * @param {Number} [options.hueKnobSize=0.1] A value [0.0, 1.0] determining the size of the hue knob relative to radius.
  * @param {String} [options.hueKnobColor='white'] Color of hue knob.
  * @param {String} [options.lightnessKnobColor='white'] Color of lightness knob (if ligthness ring is visible).
  * @param {String} [options.hueKnobColorSelected='#777'] Color for hue knob when selected
  * @param {String} [options.lightnessKnobColorSelected='#777'] Color of lightness knob when selected (if ligthness ring is visible).
+ * @param {String} [options.alphaKnobColor='white'] Color of alpha knob (if alpha ring is visible).
+ * @param {String} [options.alphaKnobColorSelected='#777'] Color of alpha knob when selected (if alpha ring is visible).
  * @param {Boolean} [options.lightnessRingClickable=false] Makes lightness ring clickable (outside knob, inside ring).
  * @param {Boolean} [options.hueKnobShadow=false] Use shadow with hue knob if shadow is activated.
- * @param {Boolean} [options.useKeys=true] Enable usage of keys to control hsl when control is active.
- * @param {Number} [options.hueKeyDelta=1] Delta values to increment/decrement the hue value with when its hotkey is pressed.
- * @param {Number} [options.saturationKeyDelta=1] Delta values to increment/decrement the saturation value with when its hotkey is pressed.
- * @param {Number} [options.lightnessKeyDelta=1] Delta values to increment/decrement the lightness value with when its hotkey is pressed.
- * @param {Number} [options.keyShiftFactor=10] When the shift key is held down the delta values are multiplied with this factor when using the hotkeys.
- * @param {Number} [options.hueKeyCodeUp=33] Key code to use to increase hue value (default page up).
- * @param {Number} [options.hueKeyCodeDown=34] Key code to use to decrease hue value (default page down).
- * @param {Number} [options.saturationKeyCodeUp=37] Key code to use to increase hue value (default left arrow key).
- * @param {Number} [options.saturationKeyCodeDown=39] Key code to use to decrease hue value (default right arrow key).
- * @param {Number} [options.lightnessKeyCodeUp=38] Key code to use to increase lightness value (default up arrow key).
- * @param {Number} [options.lightnessKeyCodeDown=40] Key code to use to increase lightness value (default down arrow key).
+ * @param {Boolean} [options.useKeys=true] Enable usage of keys to control the sub-control (hue, saturation, lightness or alpha) in focus: up/down arrow to change value, page up/down for large steps, home/end for min/max, left/right arrow (or tab) to move focus between sub-controls and digits to type a hue.
+ * @param {Number} [options.hueKeyDelta=1] Delta values to increment/decrement the hue value with when its key is pressed.
+ * @param {Number} [options.saturationKeyDelta=1] Delta values to increment/decrement the saturation value with when its key is pressed.
+ * @param {Number} [options.lightnessKeyDelta=1] Delta values to increment/decrement the lightness value with when its key is pressed.
+ * @param {Number} [options.alphaKeyDelta=1] Delta values to increment/decrement the alpha value with when its key is pressed.
+ * @param {Number} [options.keyShiftFactor=10] When the shift key is held down (or page up/down is used) the delta values are multiplied with this factor. With the alt key held down they are divided by it.
+ * @param {String|Number|Array} [options.hueKeyCodeUp] Hotkey(s) increasing hue regardless of focus, given as KeyboardEvent.key values (e.g. "+"), legacy key codes or an array of these.
+ * @param {String|Number|Array} [options.hueKeyCodeDown] Hotkey(s) decreasing hue.
+ * @param {String|Number|Array} [options.saturationKeyCodeUp] Hotkey(s) increasing saturation.
+ * @param {String|Number|Array} [options.saturationKeyCodeDown] Hotkey(s) decreasing saturation.
+ * @param {String|Number|Array} [options.lightnessKeyCodeUp] Hotkey(s) increasing lightness.
+ * @param {String|Number|Array} [options.lightnessKeyCodeDown] Hotkey(s) decreasing lightness.
+ * @param {String|Number|Array} [options.alphaKeyCodeUp] Hotkey(s) increasing alpha.
+ * @param {String|Number|Array} [options.alphaKeyCodeDown] Hotkey(s) decreasing alpha.
  * @param {Boolean} [options.tabable=true] Allows the control to be selected and operated with tab key and hotkeys.
+ * @param {String} [options.label='Color picker'] Accessible name of the control, see label()
+ * @param {String} [options.focusColor='#1e90ff'] Color of the focus ring drawn around the control when focused with keyboard
  * @param {Boolean} [options.ctrlLock=true] Allow holding CTRL key to lock hue while moving saturation slider
+ * @param {String|Array} [options.harmony='none'] Show linked harmony knobs, see harmony()
+ * @param {Number} [options.hueStep=0] Snap hue to steps of this many degrees when operated by user, e.g. 15 for 24 hues (0 = off)
+ * @param {Number} [options.saturationStep=0] Snap saturation to steps of this size [0.0, 1.0] when operated by user (0 = off)
+ * @param {Number} [options.lightnessStep=0] Snap lightness to steps of this size [0.0, 1.0] when operated by user (0 = off)
+ * @param {Array} [options.snapPalette] Colors (CSS strings) the pointer selection is pulled to when within snapThreshold, see snapPalette()
+ * @param {Number} [options.snapThreshold=0.05] Distance (OKLab) within which a palette color is snapped to
+ * @param {String} [options.contrastAgainst] Reference color (CSS string) to report contrast against in events, see contrastAgainst()
+ * @param {Number} [options.minContrast=0] Minimum WCAG contrast ratio against contrastAgainst, the part of the lightness ring below is marked (0 = off)
+ * @param {String} [options.contrastMode='flag'] "flag" to only report if minContrast is met (contrastOk in events) or "clamp" to keep lightness within the allowed range when operated by user
+ * @param {String} [options.contrastMarkColor='rgba(255,0,0,0.5)'] Color used to mark the part of the lightness ring not meeting minContrast (radial layout only)
+ * @param {Number|Boolean} [options.swatches=0] Show a swatch strip below the wheel with favorites and this many recent colors (true for 8), see swatches()
+ * @param {Array} [options.favorites] Initial favorite colors (CSS strings) for the swatch strip
+ * @param {Boolean|Object} [options.storage=false] Persist swatches - true for localStorage or an adapter with getItem(key) and setItem(key, value) which may return promises
+ * @param {Number} [options.historySize=50] Number of committed colors kept for undo() and redo() (0 = no history)
+ * @param {Boolean} [options.historyKeys=true] Undo with Ctrl+Z and redo with Ctrl+Shift+Z or Ctrl+Y (Cmd on Mac) when the control has focus
+ * @param {String} [options.id] Id of instance used as storage key (defaults to the id of the parent element, swatches are not stored without an id)
+ * @param {Array} [options.handles] Colors (CSS strings or objects {h, s, l, a, selected} in current color space) for multiple independent handles, the first is selected unless given (overrides color, see addHandle())
+ * @param {String|Number} [options.eventThrottle='frame'] How often "input" events are sent while dragging: "frame" for at most once per animation frame, a number for at most once per n milliseconds, or 0 to send every event.
+ * @param {Number} [options.eventDebounce=0] If > 0 "input" events are only sent when dragging has paused for this many milliseconds (overrides eventThrottle).
  * @constructor
  */
 function HueWheel(parent, options) {
@@ -54,10 +87,11 @@ function HueWheel(parent, options) {
 
 	var	me					= this,
 		element 			= (typeof parent === "string") ? document.getElementById(parent) : parent,
-		msPointer			= !!navigator.msPointerEnabled,
 		canvas				= document.createElement('canvas'),
 		ctx					= canvas.getContext('2d'),
 		canvasStyle			= canvas.style,
+		dpr					= window.devicePixelRatio || 1,
+		dprQuery			= null,	// media query watching for a new device pixel ratio
 
 		// pre-calcs
 		pi					= Math.PI,
@@ -66,66 +100,204 @@ function HueWheel(parent, options) {
 		pi2					= 2 * pi,
 		dlt					= 0.5 * pi,
 
+		// color conversions (see HueWheel.convert)
+		convert				= HueWheel.convert,
+		validateRGB			= convert.validateRGB,
+		hsl2rgb				= convert.hsl2rgb,
+		hsv2rgb				= convert.hsv2rgb,
+		rgb2hsl				= convert.rgb2hsl,
+		rgb2hsv				= convert.rgb2hsv,
+		oklch2rgb			= convert.oklch2rgb,
+		rgb2oklch			= convert.rgb2oklch,
+		lch2rgb				= convert.lch2rgb,
+		rgb2lch				= convert.rgb2lch,
+		rgb2hwb				= convert.rgb2hwb,
+		hwb2rgb				= convert.hwb2rgb,
+
 		// options
 		diameter			= 250,
 		center				= diameter * 0.5,
 		showColor			= true,
-		isHSL				= true,
+		space				= 'hsl',	// hsl, hsv, oklch or lch
+		spaces				= ['hsl', 'hsv', 'oklch', 'lch'],
+		chromaRange			= {oklch: 0.4, lch: 150},	// chroma at saturation 1
+		whitePoint			= 'D50',	// reference white for Lab/LCh
+		layout				= 'radial',	// saturation/lightness control inside the hue ring
+		layouts				= ['radial', 'triangle', 'square'],
+		handle				= {id: 0},	// selected handle, its values are kept in hue, saturation, lightness and alpha
+		handles				= [handle],
+		lastHandleId		= 0,
+		swatchCount			= 0,	// number of recent colors, 0 = no swatch strip
+		recentList			= [],	// hex colors, newest first
+		favoriteList		= [],
+		swatchStrip			= null,
+		storage				= null,	// adapter with getItem/setItem (may return promises)
+		instanceId			= element.id || '',	// swatches are only stored with an id
+		storageKey			= 'huewheel:' + instanceId,
+		history				= [],	// committed states, see getSnapshot()
+		historyIndex		= -1,	// current state in history
+		historySize			= 50,
+		historyKeys			= true,
+		harmony				= 'none',	// name or custom hue offsets
+		harmonyOffsets		= [],
+		harmonies			= {
+			'none':					[],
+			'complementary':		[180],
+			'analogous':			[-30, 30],
+			'triadic':				[120, 240],
+			'split-complementary':	[150, 210],
+			'tetradic':				[60, 180, 240]
+		},
+		hueStep				= 0,	// steps, 0 = continuous
+		satStep				= 0,
+		lightStep			= 0,
+		snapList			= [],	// palette to snap to: {color: hex, lab: OKLab}
+		snapThreshold		= 0.05,
+		contrastRef			= null,	// reference color for contrast
+		minContrast			= 0,	// minimum WCAG contrast ratio, 0 = no constraint
+		contrastMode		= 'flag',	// flag or clamp
+		contrastMarkColor,
+		contrastSamples		= [],	// minContrast met at lightness i / 120, see getContrastSamples()
+		contrastKey			= '',
 		useLuma				= true,
 		useSat				= true,
+		useAlpha			= false,
 
 		hue					= 0,
 		saturation			= 1.0,
 		lightness			= 0.5,
+		alpha				= 1.0,
 		oldhue 				= 0,
 
 		useKeys				= true,
 		hueKeyDelta			= 1,
 		satKeyDelta			= 1,
 		lightKeyDelta		= 1,
-		hueKeyCodeUp		= 33,	// page up
-		hueKeyCodeDown		= 34,	// page down
-		satKeyCodeUp		= 37,	// arrow left
-		satKeyCodeDown		= 39,	// arrow right
-		lightKeyCodeUp		= 38,	// arrow up
-		lightKeyCodeDown	= 40,	// arrow down
+		alphaKeyDelta		= 1,
+		hueKeysUp			= [],	// hotkeys as KeyboardEvent.key values (or legacy key codes)
+		hueKeysDown			= [],
+		satKeysUp			= [],
+		satKeysDown			= [],
+		lightKeysUp			= [],
+		lightKeysDown		= [],
+		alphaKeysUp			= [],
+		alphaKeysDown		= [],
 		keyShiftFactor		= 10,
+		keyNames			= {33: 'PageUp', 34: 'PageDown', 35: 'End', 36: 'Home', 37: 'ArrowLeft',
+							   38: 'ArrowUp', 39: 'ArrowRight', 40: 'ArrowDown', 45: 'Insert', 46: 'Delete'},
 
 		thickness			= Math.max(diameter * 0.12, 3),
-		lumaThickness		= useLuma ? Math.max(diameter * 0.05, 3) : 0,
+		lumaThickness		= Math.max(diameter * 0.05, 3),
+		alphaThickness		= Math.max(diameter * 0.05, 3),
+		customThickness		= {},	// rings with a thickness set by user (not following diameter)
 		knobWidth			= 0.1,
 		shadow				= 0,
+		shadowColor,
 		hueShadow			= false,
 
 		colorWidth			= 0.8,
 		colorBorder			= 2,
-		colorBorderColor	= '#000',
-		hueKnobColor		= '#fff',
-		lightKnobColor		= '#fff',
-		hueKnobColorSel		= '#777',
-		lightKnobColorSel	= '#777',
+		colorBorderColor,			// colors can be themed, see resolveColors()
+		hueKnobColor,
+		lightKnobColor,
+		hueKnobColorSel,
+		lightKnobColorSel,
+		alphaKnobColor,
+		alphaKnobColorSel,
 		lightClickable		= false,
 		ctrlLock			= true,
 		accessibility		= true,	// tabable
+		label				= 'Color picker',
+		focusColor,
+		themeOptions		= {	// default and CSS custom properties (first set is used) per color option
+			hueKnobColor:				{value: '#fff', props: ['--huewheel-hue-knob-color', '--huewheel-knob-color']},
+			lightnessKnobColor:			{value: '#fff', props: ['--huewheel-lightness-knob-color', '--huewheel-knob-color']},
+			alphaKnobColor:				{value: '#fff', props: ['--huewheel-alpha-knob-color', '--huewheel-knob-color']},
+			hueKnobColorSelected:		{value: '#777', props: ['--huewheel-hue-knob-selected', '--huewheel-knob-selected']},
+			lightnessKnobColorSelected:	{value: '#777', props: ['--huewheel-lightness-knob-selected', '--huewheel-knob-selected']},
+			alphaKnobColorSelected:		{value: '#777', props: ['--huewheel-alpha-knob-selected', '--huewheel-knob-selected']},
+			colorSpotBorderColor:		{value: '#000', props: ['--huewheel-border-color']},
+			shadowColor:				{value: '#000', props: ['--huewheel-shadow-color']},
+			focusColor:					{value: '#1e90ff', props: ['--huewheel-focus-color']},
+			contrastMarkColor:			{value: 'rgba(255,0,0,0.5)', props: ['--huewheel-contrast-mark-color']}
+		},
+		userColors			= {},	// color options set explicitly, these take precedence over the theme
+		themeColors			= {},	// values of the CSS custom properties
+		themeObserver		= null,
+		attachObserver		= null,	// waits for a detached element to be attached
+		themeRef			= 0,
+		schemeQuery			= null,	// media query watching prefers-color-scheme
+		hueNames			= [[15, 'red'], [45, 'orange'], [70, 'yellow'], [150, 'green'], [190, 'cyan'],
+							   [255, 'blue'], [290, 'purple'], [330, 'magenta'], [345, 'pink'], [361, 'red']],
 
 		// calced setup
 		radiusHue,
 		radiusLightness,
+		radiusAlpha,
 		lumaKnobWidth,
 		lumaKnob,
+		alphaKnobWidth,
+		alphaKnob,
 		hueKnob,
 		l,
+		checker,					// checkerboard pattern for alpha
 
 		// internals
 		isDown				= false,
-		isLuma				= false,
-		isTouch				= false,
-		timeoutRef,
-		x, y,						// current mouse position
+		active				= '',	// knob being dragged: hue, luma, alpha or inner
+		pointerId			= null,	// pointer currently dragging a knob
+		resizeObserver		= null,
+		resizeRef			= 0,
+		pointerType			= '',	// mouse, pen or touch
+		pressure			= 0,
+		handlers			= {},	// event type: [listeners]
+		eventThrottle		= 'frame',
+		eventDebounce		= 0,
+		pendingEvent		= null,	// coalesced input event waiting to be sent
+		lastEventTime		= 0,
+		frameRef			= 0,
+		timeoutRef			= 0,
+		x, y,						// current pointer position
 		r, g, b,					// current RGB
-
-		canvasEvent = canvas.addEventListener.bind(canvas),
-		windowEvent = window.addEventListener.bind(window);
+		gamutMapped			= false,	// current color was outside sRGB and mapped into it
+		pendingColor		= null,	// color and handles given as options, see applyPendingColors()
+		pendingHandles		= null,
+		colorOptions		= ['hue', 'saturation', 'lightness', 'alpha', 'rgb', 'color', 'handles'],
+		optionTypes			= {	// accepted types per option for setOptions()
+			diameter: 'number', autoSize: 'boolean', onChange: 'function null',
+			hue: 'number', saturation: 'number', lightness: 'number', alpha: 'number',
+			rgb: 'array', color: 'string', handles: 'array', colorSpace: 'string', whitePoint: 'string', layout: 'string',
+			changeSaturation: 'boolean', changeLightness: 'boolean', changeAlpha: 'boolean', showColorSpot: 'boolean',
+			useKeys: 'boolean', hueKeyDelta: 'number', saturationKeyDelta: 'number', lightnessKeyDelta: 'number',
+			alphaKeyDelta: 'number', keyShiftFactor: 'number', shiftKeyFactor: 'number',
+			hueKeyCodeUp: 'string number array null', hueKeyCodeDown: 'string number array null',
+			saturationKeyCodeUp: 'string number array null', saturationKeyCodeDown: 'string number array null',
+			lightnessKeyCodeUp: 'string number array null', lightnessKeyCodeDown: 'string number array null',
+			alphaKeyCodeUp: 'string number array null', alphaKeyCodeDown: 'string number array null',
+			thicknessHue: 'number', thicknessLightness: 'number', thicknessLuma: 'number', thicknessAlpha: 'number',
+			hueKnobSize: 'number', shadowBlur: 'number', shadowColor: 'string null', hueKnobShadow: 'boolean',
+			tabable: 'boolean', label: 'string', focusColor: 'string null',
+			colorSpotWidth: 'number', colorSpotBorder: 'number', colorSpotBorderColor: 'string null',
+			hueKnobColor: 'string null', lightnessKnobColor: 'string null', hueKnobColorSelected: 'string null',
+			lightnessKnobColorSelected: 'string null', alphaKnobColor: 'string null', alphaKnobColorSelected: 'string null',
+			lightnessRingClickable: 'boolean', ctrlLock: 'boolean',
+			eventThrottle: 'number string', eventDebounce: 'number', harmony: 'string array boolean',
+			hueStep: 'number', saturationStep: 'number', lightnessStep: 'number',
+			snapPalette: 'array null', snapThreshold: 'number',
+			contrastAgainst: 'string null', minContrast: 'number', contrastMode: 'string', contrastMarkColor: 'string null',
+			swatches: 'number boolean', favorites: 'array', storage: 'boolean object null',
+			historySize: 'number', historyKeys: 'boolean', id: 'string'
+		},
+		ariaSliders			= {},	// channel: slider element (canvas fallback content)
+		liveRegion			= null,
+		hasFocus			= false,	// show focus ring
+		focusChannel		= 'hue',	// sub-control operated with keys
+		keyChanged			= false,	// "change" is sent on key release
+		hueTyped			= '',	// digits typed to enter hue
+		hueTypedRef			= 0,
+
+		listeners			= [],	// [target, type, handler] for removal in destroy()
+		originalContent		= document.createDocumentFragment();
 
 	/*
 	 *	Parse options
@@ -133,243 +305,595 @@ function HueWheel(parent, options) {
 	options = options || {};
 
 	Object.keys(options).forEach(function(key) {
+		setOption(key, options[key]);
+	});
+
+	calcThickness();
+	applyPendingColors();
+	readTheme();
+	resolveColors();
+
+	/*
+	 *	Init canvas for control
+	*/
+	canvas.id = (element.id || 'hueWheel') + '_canvas';
+	canvasStyle.touchAction = 'none';
+	createAria();
+
+	/*
+	 *	Generate control and insert into DOM (original content is kept for destroy())
+	*/
+	generateCanvas();
+	while(element.firstChild) originalContent.appendChild(element.firstChild);
+	element.appendChild(canvas);
+
+	if (swatchCount) createSwatchStrip();
+	loadSwatches();
+
+	/*
+	 *	Init first draw and event
+	*/
+	render();
+	sendEvent('change', 'api');
+
+	/*
+	 *	Setup pointer handlers (mouse, pen and touch). Pointer capture
+	 *	keeps a drag going outside the canvas.
+	*/
+	addEvent(canvas, 'pointerdown', mouseDown);
+	addEvent(canvas, 'pointermove', mouseMove);
+	addEvent(canvas, 'pointerup', mouseUp);
+	addEvent(canvas, 'pointercancel', mouseUp);
+
+
+	/*
+	 *	Setup key handlers
+	*/
+	addEvent(canvas, 'keydown', keyDown);
+	addEvent(canvas, 'keyup', keyUp);
+	addEvent(canvas, 'focusin', focusIn);
+	addEvent(canvas, 'focusout', focusOut);
+
+	/*
+	 *	Re-render if device pixel ratio changes (zoom or moving window to another screen)
+	*/
+	watchPixelRatio();
+
+	/*
+	 *	Follow theme changes (class or style changes of the element or its
+	 *	ancestors and light/dark mode)
+	*/
+	watchTheme();
 
-		var value = options[key];
+	/*
+	 *	Set an option (see constructor). Returns the update needed: 0 for
+	 *	none, 1 for render() and 2 for generateCanvas() and render(). Colors
+	 *	are applied with applyPendingColors() when all options are set.
+	*/
+	function setOption(key, value) {
 
 		switch (key) {
 			case "diameter":
-				diameter = +value;
+				diameter = Math.max(32, Math.round(+value) || 0);
 				center = diameter * 0.5;
-				break;
+				return 2;
+
+			case "autoSize":
+				autoSize(!!value);
+				return 0;
+
+			case "onChange":
+				me.onchange = value;
+				return 0;
 
 			case "hue":
 				hue = +value % 360;
-				break;
+				return 1;
 
 			case "colorSpace":
-				isHSL = value === "hsl";
-				break;
+				space = spaces.indexOf(value) < 0 ? 'hsv' : value;
+				return 2;
+
+			case "whitePoint":
+				whitePoint = value === 'D65' ? 'D65' : 'D50';
+				return 2;
+
+			case "layout":
+				layout = layouts.indexOf(value) < 0 ? 'radial' : value;
+				return 2;
 
 			case "changeLightness":
 				useLuma = !!value;
-				lumaThickness = useLuma ? Math.max(diameter * 0.05, 3) : 0;
-				break;
+				return 2;
 
 			case "changeSaturation":
 				useSat = !!value;
-				break;
+				return 2;
+
+			case "changeAlpha":
+				useAlpha = !!value;
+				return 2;
 
 			case "saturation":
 				saturation = +value;
-				break;
+				return 1;
 
 			case "lightness":
 				lightness = +value;
-				break;
+				return 1;
+
+			case "alpha":
+				alpha = +value;
+				return 1;
 
 			case "useKeys":
 				useKeys = !!value;
-				break;
+				return 0;
 
 			case "hueKeyDelta":
 				hueKeyDelta = +value;
-				break;
+				return 0;
 
 			case "saturationKeyDelta":
 				satKeyDelta = +value;
-				break;
+				return 0;
 
 			case "lightnessKeyDelta":
 				lightKeyDelta = +value;
-				break;
+				return 0;
+
+			case "alphaKeyDelta":
+				alphaKeyDelta = +value;
+				return 0;
 
 			case "hueKeyCodeUp":
-				hueKeyCodeUp = +value;
-				break;
+				hueKeysUp = getKeys(value);
+				return 0;
 
 			case "hueKeyCodeDown":
-				hueKeyCodeDown = +value;
-				break;
+				hueKeysDown = getKeys(value);
+				return 0;
 
 			case "saturationKeyCodeUp":
-				satKeyCodeUp = +value;
-				break;
+				satKeysUp = getKeys(value);
+				return 0;
 
 			case "saturationKeyCodeDown":
-				satKeyCodeDown = +value;
-				break;
+				satKeysDown = getKeys(value);
+				return 0;
 
 			case "lightnessKeyCodeUp":
-				lightKeyCodeUp = +value;
-				break;
+				lightKeysUp = getKeys(value);
+				return 0;
 
 			case "lightnessKeyCodeDown":
-				lightKeyCodeDown = +value;
-				break;
+				lightKeysDown = getKeys(value);
+				return 0;
 
+			case "alphaKeyCodeUp":
+				alphaKeysUp = getKeys(value);
+				return 0;
+
+			case "alphaKeyCodeDown":
+				alphaKeysDown = getKeys(value);
+				return 0;
+
+			case "keyShiftFactor":
 			case "shiftKeyFactor":
-				keyShiftFactor = +value;
-				break;
+				keyShiftFactor = +value > 0 ? +value : keyShiftFactor;
+				return 0;
 
 			case "thicknessHue":
 				thickness = +value;
-				break;
+				customThickness.hue = true;
+				return 2;
 
+			case "thicknessLightness":
 			case "thicknessLuma":
 				lumaThickness = +value;
-				break;
+				customThickness.luma = true;
+				return 2;
+
+			case "thicknessAlpha":
+				alphaThickness = +value;
+				customThickness.alpha = true;
+				return 2;
 
 			case "hueKnobSize":
 				knobWidth = +value;
-				break;
+				return 2;
 
 			case "shadowBlur":
 				shadow = +value;
-				break;
+				return 2;
 
 			case "hueKnobShadow":
 				hueShadow = !!value;
-				break;
+				return 1;
 
 			case "showColorSpot":
 				showColor = !!value;
-				break;
+				return 1;
 
 			case "tabable":
 				accessibility = !!value;
-				break;
+				return 1;
+
+			case "label":
+				label = "" + value;
+				return 1;
 
 			case "colorSpotWidth":
 				colorWidth = +value;
-				break;
+				return 1;
 
 			case "colorSpotBorder":
 				colorBorder = +value;
-				break;
+				return 1;
 
+			case "shadowColor":
+			case "focusColor":
 			case "colorSpotBorderColor":
-				colorBorderColor = "" + value;
+			case "hueKnobColor":
+			case "lightnessKnobColor":
+			case "hueKnobColorSelected":
+			case "lightnessKnobColorSelected":
+			case "alphaKnobColor":
+			case "alphaKnobColorSelected":
+			case "contrastMarkColor":
+				userColors[key] = value === null || value === undefined ? '' : "" + value;
+				resolveColors();
+				return key === 'shadowColor' ? 2 : 1;
+
+			case "lightnessRingClickable":
+				lightClickable = !!value;
+				return 0;
+
+			case "ctrlLock":
+				ctrlLock = !!value;
+				return 0;
+
+			case "eventThrottle":
+				eventThrottle = value === 'frame' ? value : Math.max(0, +value || 0);
+				return 0;
+
+			case "eventDebounce":
+				eventDebounce = Math.max(0, +value || 0);
+				return 0;
+
+			case "harmony":
+				setHarmony(value);
+				return 1;
+
+			case "rgb":
+				if (Array.isArray(value) && (value.length === 3 || value.length === 4)) {
+					pendingColor = validateRGB(value[0], value[1], value[2]);
+					pendingColor.a = value[3];
+				}
+				return 1;
+
+			case "color":
+				pendingColor = convert.parse(value);
+				if (!pendingColor) throw new TypeError('HueWheel: invalid color "' + value + '"');
+				return 1;
+
+			case "hueStep":
+				hueStep = Math.max(0, +value || 0);
+				return 2;
+
+			case "saturationStep":
+				satStep = Math.max(0, +value || 0);
+				return 2;
+
+			case "lightnessStep":
+				lightStep = Math.max(0, +value || 0);
+				return 2;
+
+			case "snapPalette":
+				snapList = getSnapList(value);
+				return 0;
+
+			case "snapThreshold":
+				snapThreshold = Math.max(0, +value || 0);
+				return 0;
+
+			case "contrastAgainst":
+				contrastRef = parseContrastRef(value);
+				return 1;
+
+			case "minContrast":
+				minContrast = Math.max(0, +value || 0);
+				return 1;
+
+			case "contrastMode":
+				contrastMode = value === 'clamp' ? value : 'flag';
+				return 0;
+
+			case "swatches":
+				swatchCount = value === true ? 8 : Math.max(0, Math.round(+value) || 0);
+				recentList = recentList.slice(0, swatchCount);
+				return 1;
+
+			case "favorites":
+				if (Array.isArray(value)) favoriteList = value.map(toSwatchColor);
+				return 1;
+
+			case "storage":
+				storage = value === true ? getLocalStorage() : (value || null);
+				return 0;
+
+			case "historySize":
+				historySize = Math.max(0, Math.round(+value) || 0);
+				trimHistory();
+				return 0;
+
+			case "historyKeys":
+				historyKeys = !!value;
+				return 0;
+
+			case "id":
+				instanceId = '' + value;
+				storageKey = 'huewheel:' + instanceId;
+				return 0;
+
+			case "handles":
+				if (Array.isArray(value) && value.length) pendingHandles = value.map(getHandleOption);
+				return 1;
+		}
+
+		return 0
+	}
+
+	/*
+	 *	Check type and value of an option given to setOptions(), throws a TypeError if not valid
+	*/
+	function validateOption(key, value) {
+
+		var types = optionTypes[key],
+			type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value,
+			valid;
+
+		if (!types)
+			throw new TypeError('HueWheel: unknown option "' + key + '"');
+
+		if (types.split(' ').indexOf(type) < 0 || (type === 'number' && !isFinite(value)))
+			throw new TypeError('HueWheel: option "' + key + '" must be ' + types.split(' ').join(' or '));
+
+		switch (key) {
+			case "colorSpace":
+				valid = spaces.indexOf(value) >= 0;
 				break;
 
-			case "hueKnobColor":
-				hueKnobColor = "" + value;
+			case "whitePoint":
+				valid = value === 'D50' || value === 'D65';
 				break;
 
-			case "lightnessKnobColor":
-				lightKnobColor = "" + value;
+			case "layout":
+				valid = layouts.indexOf(value) >= 0;
 				break;
 
-			case "hueKnobColorSelected":
-				hueKnobColorSel = "" + value;
+			case "contrastMode":
+				valid = value === 'flag' || value === 'clamp';
 				break;
 
-			case "lightnessKnobColorSelected":
-				lightKnobColorSel = "" + value;
+			case "eventThrottle":
+				valid = type === 'number' ? value >= 0 : value === 'frame';
 				break;
 
-			case "lightnessRingClickable":
-				lightClickable = !!value;
+			// sizes, steps and deltas can not be negative
+			case "thicknessHue":
+			case "thicknessLightness":
+			case "thicknessLuma":
+			case "thicknessAlpha":
+			case "hueKnobSize":
+			case "shadowBlur":
+			case "colorSpotWidth":
+			case "colorSpotBorder":
+			case "hueStep":
+			case "saturationStep":
+			case "lightnessStep":
+			case "hueKeyDelta":
+			case "saturationKeyDelta":
+			case "lightnessKeyDelta":
+			case "alphaKeyDelta":
+			case "snapThreshold":
+			case "minContrast":
+			case "eventDebounce":
+			case "historySize":
+				valid = value >= 0;
 				break;
 
-			case "ctrlLock":
-				ctrlLock = !!value;
+			// Alt divides the deltas by it
+			case "keyShiftFactor":
+			case "shiftKeyFactor":
+				valid = value > 0;
+				break;
+
+			case "swatches":
+				valid = type === 'boolean' || value >= 0;
+				break;
+
+			case "harmony":
+				valid = type === 'boolean' || (type === 'array'
+					? value.every(function(offset) {return isFinite(offset)})
+					: harmonies.hasOwnProperty(value));
 				break;
 
 			case "rgb":
-				if (Array.isArray(value) && value.length === 3) {
-					var c = isHSL ? rgb2hsl(value[0], value[1], value[2]) : rgb2hsv(value[0], value[1], value[2]);
-					hue = c.h;
-					saturation = c.s;
-					lightness = c.l;
-					validateHSLV()
-				}
+				valid = value.length === 3 || value.length === 4;
 				break;
+
+			default:
+				valid = true;
 		}
-	});
 
-	/*
-	 *	Init callback vector
-	*/
-	this.onchange = options.onChange;
+		if (!valid)
+			throw new TypeError('HueWheel: invalid value for option "' + key + '"');
+	}
 
 	/*
-	 *	Init canvas for control
+	 *	Apply options at runtime with a single update. If the color space
+	 *	changes without any colors given the current colors are kept.
 	*/
-	canvas.id = (element.id || 'hueWheel') + '_canvas';
-	if (accessibility) canvas.tabIndex = 0;
+	function applyOptions(opts) {
+
+		var keys = Object.keys(opts),
+			level = 0,
+			spaceChange = ('colorSpace' in opts && opts.colorSpace !== space) ||
+						  ('whitePoint' in opts && opts.whitePoint !== whitePoint);
+
+		function set() {
+			keys.forEach(function(key) {
+				level = Math.max(level, setOption(key, opts[key]));
+			});
+		}
+
+		if (spaceChange && !hasColorOption(opts)) keepColors(set);
+		else set();
+
+		applyPendingColors();
+		update(level);
+
+		if ('favorites' in opts) saveSwatches();
+		if ('storage' in opts || 'id' in opts) loadSwatches();
+	}
+
+	function hasColorOption(opts) {
+		return colorOptions.some(function(key) {return key in opts});
+	}
 
 	/*
-	 *	Generate control and insert into DOM
+	 *	Colors given as options are applied when all options are set, so
+	 *	colorSpace is known regardless of option order
 	*/
-	generateCanvas();
-	element.innerHTML = "";
-	element.appendChild(canvas);
+	function applyPendingColors() {
+
+		var selected;
+
+		if (pendingColor) fromRGB(pendingColor.r, pendingColor.g, pendingColor.b, pendingColor.a);
+		validateHSLV();
+		storeHandle();
+
+		if (pendingHandles) {
+			handles = [handle];
+			selected = handle;
+
+			pendingHandles.forEach(function(c, i) {
+				if (i) createHandle();
+
+				if ('h' in c) {
+					hue = c.h;
+					saturation = c.s;
+					lightness = c.l;
+					alpha = c.a;
+					validateHSLV();
+				}
+				else {
+					fromRGB(c.r, c.g, c.b, c.a);
+				}
+
+				if (c.selected) selected = handle;
+			});
+
+			selectHandle(selected);
+		}
+
+		pendingColor = pendingHandles = null;
+	}
+
+	// handle given as CSS color string or object with h, s, l, a (and selected) in current color space
+	function getHandleOption(value) {
+
+		var c;
+
+		if (value && typeof value === 'object') {
+			return {
+				h: +value.h || 0,
+				s: +value.s || 0,
+				l: +value.l || 0,
+				a: value.a === undefined ? 1 : +value.a,
+				selected: !!value.selected
+			}
+		}
+
+		c = convert.parse(value);
+		if (!c) throw new TypeError('HueWheel: invalid color "' + value + '"');
+
+		return c
+	}
 
 	/*
-	 *	Init first draw and event
+	 *	Update control after options are set, level as returned by setOption()
 	*/
-	render();
-	sendEvent();
+	function update(level) {
+
+		if (level > 1) {
+			calcThickness();
+			generateCanvas();
+		}
+
+		if (swatchCount && !swatchStrip) createSwatchStrip();
+		else if (!swatchCount && swatchStrip) removeSwatchStrip();
+		else renderSwatches();
+
+		render();
+	}
 
 	/*
-	 *	Setup mouse and touch handlers
+	 *	Register a listener so it can be removed again in destroy()
 	*/
-	if (msPointer) {
-		canvasEvent('MSPointerDown', mouseDown);
-		windowEvent('MSPointerMove', mouseMove);
-		windowEvent('MSPointerUp', mouseUp);
+	function addEvent(target, type, handler) {
+		target.addEventListener(type, handler);
+		listeners.push([target, type, handler]);
 	}
-	else {
-		canvasEvent('mousedown', mouseDown);
-		windowEvent('mousemove', mouseMove);
-		windowEvent('mouseup', mouseUp);
 
-		canvasEvent('touchstart', mouseDown);
-		canvasEvent('touchmove', mouseMove);
-		canvasEvent('touchend', mouseUp);
+	function removeEvent(target, type, handler) {
+		target.removeEventListener(type, handler);
+		listeners = listeners.filter(function(listener) {
+			return listener[0] !== target || listener[1] !== type || listener[2] !== handler;
+		});
 	}
 
+	function removeEvents() {
+		listeners.forEach(function(listener) {
+			listener[0].removeEventListener(listener[1], listener[2]);
+		});
+		listeners = [];
+	}
 
 	/*
-	 *	Setup key handlers
-	*/
-	if (useKeys) canvasEvent('keydown', keyDown);
-
-	/*
-	 * *******  MOUSE handlers  *******
+	 * *******  POINTER handlers  *******
 	*/
 
 	function mouseDown(e) {
 
+		if (isDown || !e.isPrimary) return false;
+
 		getXY(e);
 
 		canvasStyle.cursor = 'default';
 
 		/*
-		 *	Check if HUE knob
+		 *	Check if HUE, LUMA or ALPHA knob
 		*/
-		getHueKnob(false);
-		isDown = ctx.isPointInPath(x, y);
+		active = getKnobAt(x, y) || (isInInner(x, y) ? 'inner' : '');
+		isDown = !!active;
+
+		if (active === 'hue') selectHandle(getHandleAt(x, y));
+		if (accessibility) focusSlider(getKnobChannel(active));
 
 		if (isDown) {
-			isLuma = false;
-			clear();
-			renderHueKnob(true);
-			if (useLuma) renderLumaKnob(false);
-			return false;
-		}
+			capture(e);
 
-		/*
-		 *	Check if LUMA knob
-		*/
-		getLumaKnob(false);
-		isDown = ctx.isPointInPath(x, y);
+			// a click in the inner area moves the point there right away
+			if (active === 'inner') {
+				setInnerPoint(x, y);
+				constrain(true);
+			}
 
-		if (isDown) {
-			isLuma = true;
-			clear();
-			renderHueKnob(false);
-			if (useLuma) renderLumaKnob(true);
+			render(active);
+			sendEvent('dragstart', 'pointer');
+			if (active === 'inner') sendEvent('input', 'pointer');
 			return false;
 		}
 
@@ -384,13 +908,11 @@ function HueWheel(parent, options) {
 
 			hue = a * r2d;
 			if (hue < 0) hue += 360;
+			constrain(true);
 
-			clear();
-
-			renderHueKnob(false);
-			if (useLuma) renderLumaKnob(false);
+			render();
 
-			sendEvent();
+			sendEvent('change', 'pointer');
 		}
 
 		/*
@@ -401,9 +923,11 @@ function HueWheel(parent, options) {
 			var ta = a * r2d - 90;
 			if (ta < 0) ta += 360;
 
-			me.hsl(hue, saturation, ta / 360);
+			lightness = ta / 360;
+			constrain(true);
+			render();
 
-			sendEvent()
+			sendEvent('change', 'pointer')
 		}
 
 		return false;
@@ -414,16 +938,17 @@ function HueWheel(parent, options) {
 	 */
 	function mouseMove(e) {
 
+		if (isDown && e.pointerId !== pointerId) return false;
+
 		getXY(e);
 
 		var tri = getTri(x, y),
 			d = tri.dist,
-			a = tri.angle,
-			isOver;
+			a = tri.angle;
 
 		if (isDown) {
 
-			if (!isLuma) {
+			if (active === 'hue') {
 
 				if (ctrlLock && e.ctrlKey) {
 					hue = oldhue;
@@ -434,44 +959,35 @@ function HueWheel(parent, options) {
 					oldhue = hue;
 				}
 
-				if (useSat) {
+				if (useSat && getLayout() === 'radial') {
 					if (d < 0) d = 0;
 					if (d > radiusHue - l) d = radiusHue - l;
 					saturation = d / (radiusHue - l);
 				}
 
 			}
-			else {
+			else if (active === 'inner') {
+				setInnerPoint(x, y);
+			}
+			else if (active === 'luma') {
 				lightness = ((a + 0.5 * pi) / pi2 + 0.5) % 1.0;
 			}
+			else {
+				alpha = ((a + 0.5 * pi) / pi2 + 0.5) % 1.0;
+			}
 
-			validateHSLV();
-
-			clear();
-			renderHueKnob(!isLuma);
-
-			if (useLuma) renderLumaKnob(isLuma);
+			constrain(true);
+			render(active);
 
-			sendEvent();
+			sendEvent('input', 'pointer');
 
 		}
 		else {
 
-			getHueKnob(false);
-			isOver = ctx.isPointInPath(x, y);
-
-			if (isOver) {
-				canvasStyle.cursor = "pointer";
-				return false
-			}
-
 			/*
-			 *	Check if LUMA knob
+			 *	Check if any knob
 			*/
-			getLumaKnob(false);
-			isOver = ctx.isPointInPath(x, y);
-
-			if (isOver) {
+			if (getKnobAt(x, y)) {
 				canvasStyle.cursor = "pointer";
 				return false;
 			}
@@ -479,7 +995,7 @@ function HueWheel(parent, options) {
 			/*
 			 *	Check if HUE RING
 			*/
-			if (d > radiusHue - thickness * 0.5 && d < radiusHue + thickness * 0.5) {
+			if ((d > radiusHue - thickness * 0.5 && d < radiusHue + thickness * 0.5) || isInInner(x, y)) {
 				canvasStyle.cursor = "crosshair";
 				return false;
 			}
@@ -491,106 +1007,420 @@ function HueWheel(parent, options) {
 	}
 
 	function mouseUp(e) {
+
+		if (isDown && e.pointerId !== pointerId) return;
+
 		cevent(e);
+		release();
 		canvasStyle.cursor = "default";
-		isDown = false;
-		render()
+		active = '';
+		render();
+
+		if (isDown) {
+			isDown = false;
+			sendEvent('dragend', 'pointer');
+			sendEvent('change', 'pointer');
+		}
 	}
 
 	/*
-	 *	KEY handler (v.0.3)
+	 *	Find knob at position, returns "hue", "luma", "alpha" or ""
 	*/
-	function keyDown(e) {
+	function getKnobAt(x, y) {
 
-		var keyCode = e.charCode || e.keyCode,
-			factor = e.shiftKey ? keyShiftFactor : 1,
-			factor2 = factor * 0.01,
-			hasChanged = false;
+		if (getHandleAt(x, y)) return 'hue';
 
-		switch(keyCode) {
+		if (hasLumaRing()) {
+			getLumaKnob(false);
+			if (isInPath(x, y)) return 'luma';
+		}
 
-			case hueKeyCodeUp:
-				hue -= hueKeyDelta * factor;
-				if (hue < 0) hue += 360;
-				hasChanged = true;
-				break;
+		if (useAlpha) {
+			getAlphaKnob(false);
+			if (isInPath(x, y)) return 'alpha';
+		}
 
-			case hueKeyCodeDown:
-				hue += hueKeyDelta * factor;
-				hue %= 360;
-				hasChanged = true;
-				break;
+		return ''
+	}
 
-			case satKeyCodeUp:
-				if (!useSat) return;
-				saturation -= satKeyDelta * factor2;
-				hasChanged = true;
-				break;
+	/*
+	 *	Find the handle with a hue knob at position, if more than one the
+	 *	handle with the knob center nearest to position is returned.
+	*/
+	function getHandleAt(x, y) {
 
-			case satKeyCodeDown:
-				if (!useSat) return;
-				saturation += satKeyDelta * factor2;
-				hasChanged = true;
-				break;
+		var hit = null,
+			hitDist = Infinity;
 
-			case lightKeyCodeUp:
-				if (!useLuma) return;
-				lightness += lightKeyDelta * factor2;
-				hasChanged = true;
-				break;
+		storeHandle();
 
-			case lightKeyCodeDown:
-				if (!useLuma) return;
-				lightness -= lightKeyDelta * factor2;
-				hasChanged = true;
-				break;
-		}
+		handles.forEach(function(hd) {
 
-		if (hasChanged) {
-			cevent(e);
-			me.hsl(hue, saturation, lightness);
-			sendEvent()
-		}
+			var rd = getKnobTip(hd.s) - l * 0.67,	// knob center from wheel center
+				dx, dy, dist;
 
-	}
+			getHueKnob(false, hd.h, hd.s);
 
-	/*
-	 *	Get position
-	*/
-	function getXY(e) {
+			if (isInPath(x, y)) {
+				dx = center + rd * Math.cos(hd.h * d2r) - x;
+				dy = center + rd * Math.sin(hd.h * d2r) - y;
+				dist = dx * dx + dy * dy;
 
-		cevent(e);
+				if (dist < hitDist) {
+					hit = hd;
+					hitDist = dist;
+				}
+			}
+		});
 
-		var rect = canvas.getBoundingClientRect(),
-			touches = e.targetTouches;
+		setBaseTransform();
 
-		isTouch = touches && (msPointer ? e.pointerType === e.MSPOINTER_TYPE_TOUCH : true);
+		return hit
+	}
 
-		if (isTouch && (touches.length === 1 || (msPointer && e.isPrimary))) {
-			x = touches[0].clientX;
-			y = touches[0].clientY;
-		}
-		else {
-			x = e.clientX;
-			y = e.clientY;
-		}
+	// path is defined in device pixels while x, y are in CSS pixels
+	function isInPath(x, y) {
+		return ctx.isPointInPath(x * dpr, y * dpr);
+	}
 
-		x -= rect.left;
-		y -= rect.top;
+	function capture(e) {
+		pointerId = e.pointerId;
+		canvas.setPointerCapture(pointerId);
 	}
 
-	function cevent(e) {
-		if (e.stopPropagation) e.stopPropagation();
-		if (e.preventDefault) e.preventDefault();
+	function release() {
+		if (pointerId !== null && canvas.hasPointerCapture(pointerId))
+			canvas.releasePointerCapture(pointerId);
+
+		pointerId = null;
 	}
 
 	/*
-	 *	Calc angle and distance
-	 */
-	function getTri(x, y) {
+	 *	KEY handler - keys operate the sub-control in focus (one of the
+	 *	sliders in the canvas fallback content), hotkeys a given channel.
+	 *	Key down sends "input" events and key release a "change" event.
+	*/
+	function keyDown(e) {
 
-		var dx = x - center,
-			dy = y - center;
+		if (!useKeys) return;
+
+		var key = getKeyName(e),
+			factor = e.shiftKey ? keyShiftFactor : e.altKey ? 1 / keyShiftFactor : 1,
+			changed = '';	// channel changed
+
+		if (!hasFocus) {
+			hasFocus = true;
+			render();
+		}
+
+		// undo with Ctrl+Z, redo with Ctrl+Shift+Z or Ctrl+Y
+		if (historyKeys && (e.ctrlKey || e.metaKey) && /^[zy]$/i.test(key)) {
+			cevent(e);
+			if (/z/i.test(key) && !e.shiftKey) me.undo();
+			else me.redo();
+			return;
+		}
+
+		if (matchKey(e, hueKeysUp)) changed = stepChannel('hue', factor);
+		else if (matchKey(e, hueKeysDown)) changed = stepChannel('hue', -factor);
+		else if (matchKey(e, satKeysUp)) changed = stepChannel('saturation', factor);
+		else if (matchKey(e, satKeysDown)) changed = stepChannel('saturation', -factor);
+		else if (matchKey(e, lightKeysUp)) changed = stepChannel('lightness', factor);
+		else if (matchKey(e, lightKeysDown)) changed = stepChannel('lightness', -factor);
+		else if (matchKey(e, alphaKeysUp)) changed = stepChannel('alpha', factor);
+		else if (matchKey(e, alphaKeysDown)) changed = stepChannel('alpha', -factor);
+		else {
+			switch(key) {
+
+				case 'ArrowUp':
+					changed = stepChannel(focusChannel, factor);
+					break;
+
+				case 'ArrowDown':
+					changed = stepChannel(focusChannel, -factor);
+					break;
+
+				case 'PageUp':
+					changed = stepChannel(focusChannel, keyShiftFactor);
+					break;
+
+				case 'PageDown':
+					changed = stepChannel(focusChannel, -keyShiftFactor);
+					break;
+
+				case 'Home':
+					changed = setChannel(focusChannel, false);
+					break;
+
+				case 'End':
+					changed = setChannel(focusChannel, true);
+					break;
+
+				case 'ArrowLeft':
+					cevent(e);
+					moveFocus(-1);
+					break;
+
+				case 'ArrowRight':
+					cevent(e);
+					moveFocus(1);
+					break;
+
+				default:
+					if (/^[0-9]$/.test(key) && !e.ctrlKey && !e.metaKey && !e.altKey)
+						changed = typeHue(key);
+			}
+		}
+
+		if (changed) {
+			cevent(e);
+			constrain(false);
+			render();
+			announce(getAriaText(changed));
+			keyChanged = true;
+			sendEvent('input', 'keyboard');
+		}
+	}
+
+	function keyUp() {
+		if (keyChanged) {
+			keyChanged = false;
+			sendEvent('change', 'keyboard');
+		}
+	}
+
+	/*
+	 *	Key bindings are given as KeyboardEvent.key values, legacy key
+	 *	codes or an array of these
+	*/
+	function getKeys(value) {
+
+		if (value === null || value === undefined || value === '') return [];
+
+		return (Array.isArray(value) ? value : [value]).map(function(key) {
+			return typeof key === 'number' ? keyNames[key] || key : '' + key;
+		});
+	}
+
+	function matchKey(e, keys) {
+
+		var name = getKeyName(e).toLowerCase();
+
+		return keys.some(function(key) {
+			return typeof key === 'number' ? e.keyCode === key : name === key.toLowerCase();
+		});
+	}
+
+	// KeyboardEvent.key, or name from key code in old browsers
+	function getKeyName(e) {
+		return e.key || keyNames[e.keyCode] || ''
+	}
+
+	/*
+	 *	Step value of channel, dir is the number of key deltas (negative to
+	 *	decrease). Returns channel or "" if channel can't be changed.
+	*/
+	function stepChannel(channel, dir) {
+
+		var steps = dir < 0 ? Math.min(dir, -1) : Math.max(dir, 1);	// at least one step if snapping to steps
+
+		switch(channel) {
+			case 'hue':
+				hue = (hue + (hueStep ? hueStep * steps : hueKeyDelta * dir)) % 360;
+				if (hue < 0) hue += 360;
+				break;
+
+			case 'saturation':
+				if (!hasSaturation()) return '';
+				saturation += satStep ? satStep * steps : satKeyDelta * 0.01 * dir;
+				break;
+
+			case 'lightness':
+				if (!hasLightness()) return '';
+				lightness += lightStep ? lightStep * steps : lightKeyDelta * 0.01 * dir;
+				break;
+
+			default:
+				if (!useAlpha) return '';
+				alpha += alphaKeyDelta * 0.01 * dir;
+		}
+
+		return channel
+	}
+
+	// set channel to min or max
+	function setChannel(channel, max) {
+
+		switch(channel) {
+			case 'hue':
+				hue = max ? 360 - (hueStep || 1) : 0;
+				break;
+
+			case 'saturation':
+				if (!hasSaturation()) return '';
+				saturation = max ? 1 : 0;
+				break;
+
+			case 'lightness':
+				if (!hasLightness()) return '';
+				lightness = max ? 1 : 0;
+				break;
+
+			default:
+				if (!useAlpha) return '';
+				alpha = max ? 1 : 0;
+		}
+
+		return channel
+	}
+
+	/*
+	 *	Digits typed within a second are combined to a hue, e.g. 2, 1, 0 gives 210
+	*/
+	function typeHue(digit) {
+
+		clearTimeout(hueTypedRef);
+		hueTypedRef = setTimeout(function() {hueTyped = ''}, 1000);
+
+		hueTyped = hueTyped.length < 3 ? hueTyped + digit : digit;
+		if (+hueTyped >= 360) hueTyped = digit;
+
+		hue = +hueTyped;
+
+		return 'hue'
+	}
+
+	/*
+	 *	Move focus to previous (dir = -1) or next sub-control
+	*/
+	function moveFocus(dir) {
+
+		var channels = getChannels(),
+			i = channels.indexOf(focusChannel) + dir;
+
+		if (i >= 0 && i < channels.length) focusSlider(channels[i]);
+	}
+
+	// channels that can be operated
+	function getChannels() {
+		return ['hue', 'saturation', 'lightness', 'alpha'].filter(function(channel) {
+			return channel === 'hue' || (channel === 'saturation' && hasSaturation()) ||
+				(channel === 'lightness' && hasLightness()) || (channel === 'alpha' && useAlpha);
+		});
+	}
+
+	/*
+	 *	The inner layouts are shaded in HSL and HSV only, the other color
+	 *	spaces use the radial layout (the chosen layout is kept for later)
+	*/
+	function hasInnerLayouts(colSpace) {
+		return colSpace === 'hsl' || colSpace === 'hsv'
+	}
+
+	function getLayout() {
+		return hasInnerLayouts(space) ? layout : 'radial'
+	}
+
+	/*
+	 *	Saturation and lightness are always operated by an inner layout,
+	 *	the lightness ring is only shown with the radial layout
+	*/
+	function hasSaturation() {
+		return useSat || getLayout() !== 'radial'
+	}
+
+	function hasLightness() {
+		return useLuma || getLayout() !== 'radial'
+	}
+
+	function hasLumaRing() {
+		return useLuma && getLayout() === 'radial'
+	}
+
+	// channel focused when a knob is grabbed
+	function getKnobChannel(knob) {
+		switch(knob) {
+			case 'luma':
+				return 'lightness';
+
+			case 'alpha':
+				return 'alpha';
+
+			case 'inner':
+				return focusChannel === 'lightness' ? 'lightness' : 'saturation';
+
+			default:
+				return focusChannel;
+		}
+	}
+
+	function focusSlider(channel) {
+		focusChannel = channel;
+		ariaSliders[channel].focus({preventScroll: true});
+	}
+
+	/*
+	 *	Focus ring is drawn on canvas when a sub-control is focused with
+	 *	keyboard (or keys are used), the knob of the sub-control is selected.
+	*/
+	function focusIn(e) {
+
+		var channel = getSliderChannel(e.target);
+
+		if (channel) focusChannel = channel;
+
+		try {
+			hasFocus = e.target.matches(':focus-visible');
+		}
+		catch(err) {
+			hasFocus = true;	// :focus-visible not supported
+		}
+
+		render();
+	}
+
+	function focusOut(e) {
+
+		if (canvas.contains(e.relatedTarget)) return;
+
+		keyUp();
+		hasFocus = false;
+		render();
+	}
+
+	function getSliderChannel(el) {
+		return Object.keys(ariaSliders).filter(function(channel) {return ariaSliders[channel] === el})[0] || ''
+	}
+
+	/*
+	 *	Get position
+	*/
+	function getXY(e) {
+
+		cevent(e);
+
+		var rect = canvas.getBoundingClientRect(),
+			scale = rect.width ? diameter / rect.width : 1;		// in case canvas is scaled with CSS
+
+		x = (e.clientX - rect.left) * scale;
+		y = (e.clientY - rect.top) * scale;
+
+		pointerType = e.pointerType;
+		pressure = e.pressure;
+	}
+
+	function cevent(e) {
+		if (e.stopPropagation) e.stopPropagation();
+		if (e.preventDefault) e.preventDefault();
+	}
+
+	/*
+	 *	Calc angle and distance
+	 */
+	function getTri(x, y) {
+
+		var dx = x - center,
+			dy = y - center;
 
 		return {
 			dist: Math.sqrt(dx*dx + dy*dy),
@@ -602,14 +1432,69 @@ function HueWheel(parent, options) {
 	 *	Calc sizes
 	*/
 	function calcSizes() {
-		radiusHue = (diameter - thickness - lumaThickness * 3 - shadow * (useLuma ? 1 : 2)) * 0.5 + 1;	// hue radius
-		radiusLightness	= (diameter - lumaThickness - shadow) * 0.5 + 1;								// light. radius
+
+		var lt = hasLumaRing() ? lumaThickness : 0,
+			at = useAlpha ? alphaThickness : 0;
+
+		radiusHue = (diameter - thickness - (lt + at) * 3 - shadow * (lt || at ? 1 : 2)) * 0.5 + 1;	// hue radius
+		radiusLightness	= (diameter - lt - shadow) * 0.5 + 1;											// light. radius
+		radiusAlpha = (diameter - lt * 3 - at - shadow) * 0.5 + 1;										// alpha radius
 		lumaKnobWidth = lumaThickness * 0.5;															// light knob
 		lumaKnob = [center - 1, center + radiusLightness];
+		alphaKnobWidth = alphaThickness * 0.5;															// alpha knob
+		alphaKnob = [center - 1, center + radiusAlpha];
 		hueKnob	= [center - thickness * 0.5, center];
 		l = Math.max(diameter * knobWidth, 5);
 	}
 
+	/*
+	 *	Ring thickness follows the diameter unless set by user
+	*/
+	function calcThickness() {
+		if (!customThickness.hue) thickness = Math.max(diameter * 0.12, 3);
+		if (!customThickness.luma) lumaThickness = Math.max(diameter * 0.05, 3);
+		if (!customThickness.alpha) alphaThickness = Math.max(diameter * 0.05, 3);
+	}
+
+	function setDiameter(d) {
+
+		d = Math.max(32, Math.round(d) || 0);
+		if (d === diameter) return;
+
+		diameter = d;
+		center = diameter * 0.5;
+		calcThickness();
+
+		generateCanvas();
+		render();
+		renderSwatches();
+	}
+
+	/*
+	 *	Follow width of parent element
+	*/
+	function autoSize(state) {
+
+		if (resizeObserver) {
+			resizeObserver.disconnect();
+			cancelAnimationFrame(resizeRef);
+			resizeObserver = null;
+		}
+
+		if (state && window.ResizeObserver) {
+			resizeObserver = new ResizeObserver(function(entries) {
+				var width = entries[0].contentRect.width;
+
+				// deferred to avoid resize loops as the canvas affects the height of parent
+				cancelAnimationFrame(resizeRef);
+				resizeRef = requestAnimationFrame(function() {
+					if (width > 0) setDiameter(width);
+				});
+			});
+			resizeObserver.observe(element);
+		}
+	}
+
 	/*
 	 *	Render methods
 	*/
@@ -618,26 +1503,30 @@ function HueWheel(parent, options) {
 		var i,
 			rad,
 			oldRad,
-			gwstep;
+			gwstep,
+			hstep;
 
 		calcSizes();
 
 		gwstep = 7 / (radiusHue * pi) * r2d;
+		hstep = hueStep ? gwstep * 0.25 : gwstep;	// finer for sharp edges between steps
 
-		canvas.width = canvas.height = diameter;
+		canvas.width = canvas.height = Math.round(diameter * dpr);
+		canvasStyle.width = canvasStyle.height = diameter + 'px';
+		setBaseTransform();
 
 		/*
 		 *	Render HUE wheel
 		*/
 		ctx.lineWidth = thickness;
 
-		for(i = oldRad = -0.01; i < 360; i += gwstep) {
+		for(i = oldRad = -0.01; i < 360; i += hstep) {
 
 			rad = i * d2r;
 
 			ctx.beginPath();
 			ctx.arc(center, center, radiusHue, oldRad, rad + 0.01);
-			ctx.strokeStyle = "hsl(" + i + ",100%,50%)";
+			ctx.strokeStyle = getHueRingColor(hueStep ? snapValue(i, hueStep) % 360 : i);
 			ctx.stroke();
 
 			oldRad = rad;
@@ -651,8 +1540,8 @@ function HueWheel(parent, options) {
 		if (shadow > 0) {
 			ctx.save();
 
-			ctx.shadowColor = options.shadowColor || "#000";
-			ctx.shadowBlur = shadow;
+			ctx.shadowColor = shadowColor;
+			ctx.shadowBlur = shadow * dpr;
 
 			ctx.beginPath();
 			ctx.arc(center, center, radiusHue, 0, pi2);
@@ -664,17 +1553,17 @@ function HueWheel(parent, options) {
 		/*
 		 *	Render lightness wheel
 		*/
-		if (useLuma) {
+		if (hasLumaRing()) {
 
 			ctx.lineWidth = lumaThickness;
 
-			for(i = 0, oldRad = dlt; i < 360; i += gwstep) {
+			for(i = 0, oldRad = dlt; i < 360; i += lightStep ? gwstep * 0.25 : gwstep) {
 
 				rad = i * d2r + dlt;
 
 				ctx.beginPath();
 				ctx.arc(center, center, radiusLightness, oldRad, rad + 0.01);
-				ctx.strokeStyle = "hsl(0,0%,+" + i / 3.60 + "%)";
+				ctx.strokeStyle = getLightRingColor(lightStep ? Math.min(snapValue(i / 360, lightStep), 1) : i / 360);
 				ctx.stroke();
 
 				oldRad = rad;
@@ -684,176 +1573,3021 @@ function HueWheel(parent, options) {
 		ctx.globalCompositeOperation = "source-over";
 
 		/*
-		 *	Set static elements as background image of element
+		 *	Render saturation steps as circles where the tip of the hue knob snaps
 		*/
-		canvasStyle.backgroundImage = 'url(' + canvas.toDataURL() + ')';
-		ctx.clearRect(0, 0, diameter, diameter);
-	}
-
-	function renderHueKnob(selected) {
+		if (useSat && satStep && getLayout() === 'radial') {
 
-		getHueKnob(true);
+			ctx.lineWidth = 1;
+			ctx.strokeStyle = 'rgba(128,128,128,0.4)';
 
-		if (hueShadow) {
-			ctx.shadowColor = options.shadowColor || "#000";
-			ctx.shadowBlur = shadow;
+			for(i = satStep; i < 1 - 1e-9; i += satStep) {
+				ctx.beginPath();
+				ctx.arc(center, center, l + (radiusHue - thickness * 0.5 - l) * i - 1, 0, pi2);
+				ctx.stroke();
+			}
 		}
 
-		ctx.lineWidth = 1;
-		ctx.strokeStyle = '#000';
-		ctx.fillStyle = selected ? hueKnobColorSel : hueKnobColor;
-		ctx.fill();
-
-		ctx.shadowColor = "transparent";
-		ctx.shadowBlur = 0;
-
-		ctx.stroke();
-	}
-
-	function getHueKnob(drawLine) {
+		/*
+		 *	Render alpha wheel on top of a checkerboard
+		*/
+		if (useAlpha) {
 
-		ctx.setTransform(1, 0, 0, 1, 0, 0);
+			ctx.lineWidth = alphaThickness;
 
-		ctx.translate(center, center);
-		ctx.rotate(hue * d2r);
-		ctx.translate(-center, -center);
+			ctx.beginPath();
+			ctx.arc(center, center, radiusAlpha, 0, pi2);
+			ctx.strokeStyle = getChecker();
+			ctx.stroke();
 
-		var	kx = center + l + (radiusHue - thickness * 0.5 - l) * (useSat ? saturation : 1.0);
+			for(i = 0, oldRad = dlt; i < 360; i += gwstep) {
 
-		if (useSat && drawLine) {
-			ctx.lineWidth = 1;
+				rad = i * d2r + dlt;
 
-			ctx.beginPath();
-			ctx.moveTo(center, center - 0.5);
-			ctx.lineTo(center + radiusHue - thickness * 0.5, center - 0.5);
-			ctx.strokeStyle = '#000';
-			ctx.stroke();
+				ctx.beginPath();
+				ctx.arc(center, center, radiusAlpha, oldRad, rad);
+				ctx.strokeStyle = "rgba(0,0,0," + i / 360 + ")";
+				ctx.stroke();
 
-			ctx.beginPath();
-			ctx.moveTo(center, center + 0.5);
-			ctx.lineTo(center + radiusHue - thickness * 0.5, center + 0.5);
-			ctx.strokeStyle = '#fff';
-			ctx.stroke();
+				oldRad = rad;
+			}
 		}
 
-		ctx.beginPath();
-		ctx.moveTo(kx - 1, center);
-		ctx.lineTo(kx - l, center - l * 0.7);
-		ctx.lineTo(kx - l, center + l  * 0.7);
-		ctx.closePath();
+		/*
+		 *	Set static elements as background image of element
+		*/
+		canvasStyle.backgroundImage = 'url(' + canvas.toDataURL() + ')';
+		canvasStyle.backgroundSize = diameter + 'px ' + diameter + 'px';
+		ctx.clearRect(0, 0, diameter, diameter);
 	}
 
-	function renderLumaKnob(selected) {
-		getLumaKnob(true, selected);
-		ctx.setTransform(1, 0, 0, 1, 0, 0);
-	}
+	/*
+	 *	Colors of the hue and lightness rings in current color space
+	*/
+	function getHueRingColor(h) {
+		switch(space) {
+			case 'oklch':
+				return convert.format(oklch2rgb(0.7, chromaRange.oklch, h), 'rgb');
 
-	function getLumaKnob(render, selected) {
+			case 'lch':
+				return convert.format(lch2rgb(65, chromaRange.lch, h, whitePoint), 'rgb');
 
-		ctx.setTransform(1, 0, 0, 1, 0, 0);
-		ctx.translate(center, center);
-		ctx.rotate(pi2 * lightness);
-		ctx.translate(-center, -center);
+			default:
+				return "hsl(" + h + ",100%,50%)";
+		}
+	}
 
-		if (render) {
-			ctx.beginPath();
-			ctx.arc(lumaKnob[0], lumaKnob[1], lumaKnobWidth, 0, pi2);
-			ctx.closePath();
-			ctx.fillStyle = '#000';
-			ctx.fill();
+	function getLightRingColor(l) {
+		switch(space) {
+			case 'oklch':
+				return convert.format(oklch2rgb(l, 0, 0), 'rgb');
 
-			ctx.beginPath();
-			ctx.arc(lumaKnob[0], lumaKnob[1], lumaKnobWidth - 1, 0, pi2);
-			ctx.closePath();
-			ctx.fillStyle = selected ? lightKnobColorSel : lightKnobColor;
-			ctx.fill();
+			case 'lch':
+				return convert.format(lch2rgb(l * 100, 0, 0, whitePoint), 'rgb');
 
-		}
-		else {
-			ctx.beginPath();
-			ctx.arc(lumaKnob[0], lumaKnob[1], lumaKnobWidth, 0, pi2);
-			ctx.closePath();
+			default:
+				return "hsl(0,0%," + l * 100 + "%)";
 		}
 	}
 
-	function render() {
-		clear();
-		renderHueKnob(false);
-		if (useLuma) renderLumaKnob(false);
+	/*
+	 *	Scale drawing to the device pixel ratio, all drawing is done in CSS pixels
+	*/
+	function setBaseTransform() {
+		ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 	}
 
-	function clear() {
+	function watchPixelRatio() {
 
-		getRGB();
+		if (dprQuery) removeEvent(dprQuery, 'change', updatePixelRatio);
 
-		ctx.clearRect(0, 0, diameter, diameter);
+		if (window.matchMedia) {
+			dprQuery = window.matchMedia('(resolution: ' + dpr + 'dppx)');
+			addEvent(dprQuery, 'change', updatePixelRatio);
+		}
+	}
 
-		if (showColor) {
-			var rd = (radiusHue - thickness * 0.5) * colorWidth;
+	function updatePixelRatio() {
 
-			ctx.beginPath();
-			ctx.arc(center, center, rd, 0, pi2);
-			ctx.closePath();
-			ctx.fillStyle = 'rgb(' + r + ',' + g + ',' + b + ')';
-			ctx.fill();
+		dpr = window.devicePixelRatio || 1;
+		watchPixelRatio();
 
-			ctx.lineWidth = colorBorder;
-			ctx.strokeStyle = colorBorderColor;
+		generateCanvas();
+		render();
+	}
+
+	/*
+	 *	Theming - an explicitly set color option is used before the CSS
+	 *	custom properties of the element, then the default
+	*/
+	function themeColor(key) {
+		return userColors[key] || themeColors[key] || themeOptions[key].value
+	}
+
+	function resolveColors() {
+		hueKnobColor = themeColor('hueKnobColor');
+		lightKnobColor = themeColor('lightnessKnobColor');
+		alphaKnobColor = themeColor('alphaKnobColor');
+		hueKnobColorSel = themeColor('hueKnobColorSelected');
+		lightKnobColorSel = themeColor('lightnessKnobColorSelected');
+		alphaKnobColorSel = themeColor('alphaKnobColorSelected');
+		colorBorderColor = themeColor('colorSpotBorderColor');
+		shadowColor = themeColor('shadowColor');
+		focusColor = themeColor('focusColor');
+		contrastMarkColor = themeColor('contrastMarkColor');
+	}
+
+	// reads the custom properties, returns true if any changed
+	function readTheme() {
+
+		var style = window.getComputedStyle ? window.getComputedStyle(element) : null,
+			changed = false;
+
+		if (!style) return false;
+
+		Object.keys(themeOptions).forEach(function(key) {
+
+			var value = '';
+
+			themeOptions[key].props.some(function(prop) {
+				value = style.getPropertyValue(prop).trim();
+				return value
+			});
+
+			if (value !== (themeColors[key] || '')) {
+				themeColors[key] = value;
+				changed = true;
+			}
+		});
+
+		return changed
+	}
+
+	function watchTheme() {
+
+		if (window.MutationObserver) {
+			themeObserver = new MutationObserver(updateTheme);
+			observeAncestors();
+		}
+
+		// a detached element is laid out when attached, then its theme is read
+		// and its new ancestors are watched
+		if (!isAttached() && window.ResizeObserver) {
+			attachObserver = new ResizeObserver(function() {
+				if (!isAttached()) return;
+
+				attachObserver.disconnect();
+				attachObserver = null;
+
+				if (themeObserver) {
+					themeObserver.disconnect();
+					observeAncestors();
+				}
+
+				updateTheme();
+			});
+
+			attachObserver.observe(element);
+		}
+
+		if (window.matchMedia) {
+			schemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+			addEvent(schemeQuery, 'change', updateTheme);
+		}
+	}
+
+	/*
+	 *	Custom properties are inherited, so only the element and its ancestors
+	 *	are watched (not the whole document, or any animation would be caught)
+	*/
+	function observeAncestors() {
+
+		var node, init = {attributes: true, attributeFilter: ['class', 'style', 'data-theme']};
+
+		for(node = element; node && node !== document; node = node.parentNode) {
+			themeObserver.observe(node, init);
+		}
+
+		if (!isAttached()) themeObserver.observe(document.documentElement, init);
+	}
+
+	function isAttached() {
+		return document.documentElement.contains(element)
+	}
+
+	// deferred so several changes (and the style recalculation) are handled once
+	function updateTheme() {
+
+		cancelAnimationFrame(themeRef);
+		themeRef = requestAnimationFrame(function() {
+			if (readTheme()) {
+				resolveColors();
+				generateCanvas();
+				render();
+			}
+		});
+	}
+
+	function renderHueKnob(selected) {
+
+		getHueKnob(true, hue, saturation);
+
+		if (hueShadow) {
+			ctx.shadowColor = shadowColor;
+			ctx.shadowBlur = shadow * dpr;
+		}
+
+		ctx.lineWidth = 1;
+		ctx.strokeStyle = '#000';
+		ctx.fillStyle = selected ? hueKnobColorSel : hueKnobColor;
+		ctx.fill();
+
+		ctx.shadowColor = "transparent";
+		ctx.shadowBlur = 0;
+
+		ctx.stroke();
+	}
+
+	function getHueKnob(drawLine, angle, sat) {
+
+		setBaseTransform();
+
+		ctx.translate(center, center);
+		ctx.rotate(angle * d2r);
+		ctx.translate(-center, -center);
+
+		var	kx = center + getKnobTip(sat);
+
+		if (useSat && drawLine && getLayout() === 'radial') {
+			ctx.lineWidth = 1;
+
+			ctx.beginPath();
+			ctx.moveTo(center, center - 0.5);
+			ctx.lineTo(center + radiusHue - thickness * 0.5, center - 0.5);
+			ctx.strokeStyle = '#000';
+			ctx.stroke();
+
+			ctx.beginPath();
+			ctx.moveTo(center, center + 0.5);
+			ctx.lineTo(center + radiusHue - thickness * 0.5, center + 0.5);
+			ctx.strokeStyle = '#fff';
 			ctx.stroke();
 		}
-	}
 
-	function getRGB() {
-		var rgb = isHSL ? hsl2rgb(hue, saturation, lightness) : hsv2rgb(hue, saturation, lightness);
-		r = rgb.r;
-		g = rgb.g;
-		b = rgb.b;
-		//validate();
-	}
+		ctx.beginPath();
+		ctx.moveTo(kx - 1, center);
+		ctx.lineTo(kx - l, center - l * 0.7);
+		ctx.lineTo(kx - l, center + l  * 0.7);
+		ctx.closePath();
+	}
+
+	/*
+	 *	Distance of the tip of the hue knob from center. With the radial
+	 *	layout saturation moves the knob, otherwise it is on the hue ring.
+	*/
+	function getKnobTip(sat) {
+		return getLayout() === 'radial'
+			? l + (radiusHue - thickness * 0.5 - l) * (useSat ? sat : 1)
+			: radiusHue + l * 0.5
+	}
+
+	/*
+	 *	Harmony knobs follow the hue knob and are filled with their color
+	*/
+	function renderHarmonyKnobs() {
+
+		getPalette().slice(1).forEach(function(c) {
+			renderColorKnob(c.h, saturation, c);
+		});
+
+		setBaseTransform();
+	}
+
+	/*
+	 *	Knobs of handles that are not selected, filled with their color
+	*/
+	function renderHandleKnobs() {
+
+		handles.forEach(function(hd) {
+			if (hd !== handle) renderColorKnob(hd.h, hd.s, toRGB(hd.h, hd.s, hd.l));
+		});
+
+		setBaseTransform();
+	}
+
+	function renderColorKnob(h, s, rgb) {
+
+		getHueKnob(false, h, s);
+
+		ctx.lineWidth = 1;
+		ctx.strokeStyle = '#000';
+		ctx.fillStyle = 'rgb(' + rgb.r + ',' + rgb.g + ',' + rgb.b + ')';
+		ctx.fill();
+		ctx.stroke();
+	}
+
+	/*
+	 *	Mark the part of the lightness ring not meeting minContrast
+	*/
+	function renderContrastMarks() {
+
+		var samples, steps, start = -1, i;
+
+		if (!contrastRef || !minContrast) return;
+
+		samples = getContrastSamples();
+		steps = samples.length - 1;
+
+		ctx.lineWidth = lumaThickness;
+		ctx.strokeStyle = contrastMarkColor;
+
+		for(i = 0; i <= steps; i++) {
+			if (i < steps && !samples[i] && !samples[i + 1]) {
+				if (start < 0) start = i;
+			}
+			else if (start >= 0) {
+				ctx.beginPath();
+				ctx.arc(center, center, radiusLightness, dlt + pi2 * start / steps, dlt + pi2 * i / steps);
+				ctx.stroke();
+				start = -1;
+			}
+		}
+	}
+
+	function renderLumaKnob(selected) {
+		getLumaKnob(true, selected);
+		setBaseTransform();
+	}
+
+	function getLumaKnob(render, selected) {
+		getRingKnob(lightness, lumaKnob, lumaKnobWidth, render ? (selected ? lightKnobColorSel : lightKnobColor) : null);
+	}
+
+	function renderAlphaKnob(selected) {
+		getAlphaKnob(true, selected);
+		setBaseTransform();
+	}
+
+	function getAlphaKnob(render, selected) {
+		getRingKnob(alpha, alphaKnob, alphaKnobWidth, render ? (selected ? alphaKnobColorSel : alphaKnobColor) : null);
+	}
+
+	/*
+	 *	Knob on lightness or alpha ring - renders if a color is given,
+	 *	otherwise only the path is defined (for hit-testing).
+	*/
+	function getRingKnob(value, knob, width, color) {
+
+		setBaseTransform();
+		ctx.translate(center, center);
+		ctx.rotate(pi2 * value);
+		ctx.translate(-center, -center);
+
+		if (color) {
+			ctx.beginPath();
+			ctx.arc(knob[0], knob[1], width, 0, pi2);
+			ctx.closePath();
+			ctx.fillStyle = '#000';
+			ctx.fill();
+
+			ctx.beginPath();
+			ctx.arc(knob[0], knob[1], width - 1, 0, pi2);
+			ctx.closePath();
+			ctx.fillStyle = color;
+			ctx.fill();
+
+		}
+		else {
+			ctx.beginPath();
+			ctx.arc(knob[0], knob[1], width, 0, pi2);
+			ctx.closePath();
+		}
+	}
+
+	/*
+	 *	Render color spot and knobs, selected is the name of the
+	 *	selected knob (hue, luma or alpha) if any.
+	*/
+	function render(selected) {
+
+		// knob of sub-control in focus is shown selected
+		if (!selected && hasFocus) selected = getFocusKnob();
+
+		clear();
+		if (getLayout() !== 'radial') renderInner(selected === 'inner');
+		renderHandleKnobs();
+		if (hasLumaRing()) renderContrastMarks();
+		renderHarmonyKnobs();
+		renderHueKnob(selected === 'hue');
+		if (hasLumaRing()) renderLumaKnob(selected === 'luma');
+		if (useAlpha) renderAlphaKnob(selected === 'alpha');
+		if (hasFocus) renderFocusRing();
+		updateAria();
+	}
+
+	function getFocusKnob() {
+		switch(focusChannel) {
+			case 'saturation':
+				return getLayout() === 'radial' ? 'hue' : 'inner';
+
+			case 'lightness':
+				return getLayout() === 'radial' ? 'luma' : 'inner';
+
+			case 'alpha':
+				return 'alpha';
+
+			default:
+				return 'hue';
+		}
+	}
+
+	function renderFocusRing() {
+		setBaseTransform();
+		ctx.beginPath();
+		ctx.arc(center, center, center - 1.5, 0, pi2);
+		ctx.lineWidth = 2;
+		ctx.strokeStyle = focusColor;
+		ctx.stroke();
+	}
+
+	/*
+	 *	Inner layouts - the triangle has the pure color of the current hue
+	 *	at the vertex pointing at the hue knob, white and black at the other
+	 *	two. Position in it is saturation and value (hsv) or lightness. The
+	 *	square has saturation on x and lightness (or value) on y.
+	*/
+	function getTriangle() {
+
+		var rd = radiusHue - thickness * 0.5 - 2;
+
+		return [0, 120, 240].map(function(offset) {
+			var a = (hue + offset) * d2r;
+			return {x: center + rd * Math.cos(a), y: center + rd * Math.sin(a)}
+		});
+	}
+
+	// weights of the pure color, white and black vertices for saturation and lightness
+	function getTriangleWeights(s, l) {
+
+		var c = space === 'hsv' ? s * l : s * (1 - Math.abs(2 * l - 1)),
+			w = space === 'hsv' ? l - c : l - c * 0.5;
+
+		return [c, w, 1 - c - w]
+	}
+
+	// weights of position in triangle, negative if outside
+	function getBarycentric(x, y) {
+
+		var t = getTriangle(),
+			det = (t[1].y - t[2].y) * (t[0].x - t[2].x) + (t[2].x - t[1].x) * (t[0].y - t[2].y),
+			w0 = ((t[1].y - t[2].y) * (x - t[2].x) + (t[2].x - t[1].x) * (y - t[2].y)) / det,
+			w1 = ((t[2].y - t[0].y) * (x - t[2].x) + (t[0].x - t[2].x) * (y - t[2].y)) / det;
+
+		return [w0, w1, 1 - w0 - w1]
+	}
+
+	function getSquare() {
+
+		var size = (radiusHue - thickness * 0.5 - 2) * Math.SQRT2;
+
+		return {x: center - size * 0.5, y: center - size * 0.5, size: size}
+	}
+
+	function isInInner(x, y) {
+
+		var sq;
+
+		switch(getLayout()) {
+			case 'triangle':
+				return getBarycentric(x, y).every(function(w) {return w >= -0.01});
+
+			case 'square':
+				sq = getSquare();
+				return x >= sq.x - 1 && x <= sq.x + sq.size + 1 && y >= sq.y - 1 && y <= sq.y + sq.size + 1;
+
+			default:
+				return false;
+		}
+	}
+
+	// position of current saturation and lightness
+	function getInnerPoint() {
+
+		var t, w, sq;
+
+		if (getLayout() === 'square') {
+			sq = getSquare();
+			return {x: sq.x + saturation * sq.size, y: sq.y + (1 - lightness) * sq.size}
+		}
+
+		t = getTriangle();
+		w = getTriangleWeights(saturation, lightness);
+
+		return {
+			x: w[0] * t[0].x + w[1] * t[1].x + w[2] * t[2].x,
+			y: w[0] * t[0].y + w[1] * t[1].y + w[2] * t[2].y
+		}
+	}
+
+	// set saturation and lightness from position, outside it is clamped to the area
+	function setInnerPoint(x, y) {
+
+		if (getLayout() === 'square') setSquarePoint(x, y);
+		else setTrianglePoint(x, y);
+	}
+
+	function setSquarePoint(x, y) {
+
+		var sq = getSquare();
+
+		saturation = Math.max(0, Math.min((x - sq.x) / sq.size, 1));
+		lightness = Math.max(0, Math.min(1 - (y - sq.y) / sq.size, 1));
+	}
+
+	function setTrianglePoint(x, y) {
+
+		var w = getBarycentric(x, y).map(function(v) {return Math.max(0, v)}),
+			sum = w[0] + w[1] + w[2],
+			c = w[0] / sum,
+			white = w[1] / sum,
+			range;
+
+		if (space === 'hsv') {
+			lightness = c + white;
+			if (lightness) saturation = c / lightness;
+		}
+		else {
+			lightness = white + c * 0.5;
+			range = 1 - Math.abs(2 * lightness - 1);
+			if (range > 1e-6) saturation = Math.min(c / range, 1);
+		}
+	}
+
+	// redrawn with every render as it follows the hue
+	function renderInner(selected) {
+
+		var p = getInnerPoint();
+
+		setBaseTransform();
+
+		if (getLayout() === 'square') renderSquare();
+		else renderTriangle();
+
+		renderInnerKnob(p.x, p.y, selected);
+	}
+
+	// color of current hue with saturation s at the middle of the lightness (or value) range
+	function getInnerColor(s) {
+		var c = toRGB(hue, s, space === 'hsv' ? 1 : 0.5);
+		return 'rgb(' + c.r + ',' + c.g + ',' + c.b + ')'
+	}
+
+	/*
+	 *	The triangle shading is the sum of a white and a pure color
+	 *	gradient, each fading to black towards the opposite edge
+	*/
+	function renderTriangle() {
+
+		var t = getTriangle(),
+			gradient;
+
+		ctx.beginPath();
+		ctx.moveTo(t[0].x, t[0].y);
+		ctx.lineTo(t[1].x, t[1].y);
+		ctx.lineTo(t[2].x, t[2].y);
+		ctx.closePath();
+
+		gradient = ctx.createLinearGradient(t[1].x, t[1].y, (t[0].x + t[2].x) * 0.5, (t[0].y + t[2].y) * 0.5);
+		gradient.addColorStop(0, '#fff');
+		gradient.addColorStop(1, '#000');
+		ctx.fillStyle = gradient;
+		ctx.fill();
+
+		gradient = ctx.createLinearGradient(t[0].x, t[0].y, (t[1].x + t[2].x) * 0.5, (t[1].y + t[2].y) * 0.5);
+		gradient.addColorStop(0, getInnerColor(1));
+		gradient.addColorStop(1, '#000');
+		ctx.globalCompositeOperation = 'lighter';
+		ctx.fillStyle = gradient;
+		ctx.fill();
+		ctx.globalCompositeOperation = 'source-over';
+	}
+
+	/*
+	 *	The square is a horizontal saturation gradient with a vertical
+	 *	gradient on top, to black for value (hsv) or from white over
+	 *	transparent to black for lightness
+	*/
+	function renderSquare() {
+
+		var sq = getSquare(),
+			gradient;
+
+		gradient = ctx.createLinearGradient(sq.x, 0, sq.x + sq.size, 0);
+		gradient.addColorStop(0, getInnerColor(0));
+		gradient.addColorStop(1, getInnerColor(1));
+		ctx.fillStyle = gradient;
+		ctx.fillRect(sq.x, sq.y, sq.size, sq.size);
+
+		gradient = ctx.createLinearGradient(0, sq.y, 0, sq.y + sq.size);
+
+		if (space === 'hsv') {
+			gradient.addColorStop(0, 'rgba(0,0,0,0)');
+		}
+		else {
+			gradient.addColorStop(0, '#fff');
+			gradient.addColorStop(0.5, 'rgba(255,255,255,0)');
+			gradient.addColorStop(0.5, 'rgba(0,0,0,0)');
+		}
+
+		gradient.addColorStop(1, '#000');
+		ctx.fillStyle = gradient;
+		ctx.fillRect(sq.x, sq.y, sq.size, sq.size);
+	}
+
+	// a ring, with crosshair lines to the edges of the square
+	function renderInnerKnob(px, py, selected) {
+
+		var rd = Math.max(l * 0.25, 4),
+			sq;
+
+		if (getLayout() === 'square') {
+			sq = getSquare();
+
+			ctx.beginPath();
+			ctx.moveTo(sq.x, py);
+			ctx.lineTo(px - rd, py);
+			ctx.moveTo(px + rd, py);
+			ctx.lineTo(sq.x + sq.size, py);
+			ctx.moveTo(px, sq.y);
+			ctx.lineTo(px, py - rd);
+			ctx.moveTo(px, py + rd);
+			ctx.lineTo(px, sq.y + sq.size);
+			ctx.lineWidth = 1;
+			ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+			ctx.stroke();
+		}
+
+		ctx.beginPath();
+		ctx.arc(px, py, rd, 0, pi2);
+		ctx.lineWidth = 3;
+		ctx.strokeStyle = '#000';
+		ctx.stroke();
+		ctx.lineWidth = 1.5;
+		ctx.strokeStyle = selected ? hueKnobColorSel : hueKnobColor;
+		ctx.stroke();
+	}
+
+	/*
+	 *	Accessibility - the canvas is a labelled group with a slider for each
+	 *	channel as fallback content (exposed to assistive technology but not
+	 *	rendered) and a live region announcing changes made with keys.
+	*/
+	function createAria() {
+
+		canvas.setAttribute('role', 'group');
+		canvas.setAttribute('aria-label', label);
+		canvas.setAttribute('aria-roledescription', 'color wheel');
+
+		['hue', 'saturation', 'lightness', 'alpha'].forEach(function(channel) {
+			var slider = document.createElement('div');
+			slider.setAttribute('role', 'slider');
+			slider.setAttribute('aria-valuemin', 0);
+			slider.setAttribute('aria-valuemax', channel === 'hue' ? 360 : 100);
+			ariaSliders[channel] = canvas.appendChild(slider);
+		});
+
+		liveRegion = document.createElement('div');
+		liveRegion.setAttribute('role', 'status');
+		liveRegion.setAttribute('aria-live', 'polite');
+		canvas.appendChild(liveRegion);
+	}
+
+	function updateAria() {
+		setAttr(canvas, 'aria-label', label);
+		setSlider('hue', Math.round(hue) % 360, true);
+		setSlider('saturation', Math.round(saturation * 100), hasSaturation());
+		setSlider('lightness', Math.round(lightness * 100), hasLightness());
+		setSlider('alpha', Math.round(alpha * 100), useAlpha);
+	}
+
+	function setSlider(channel, value, enabled) {
+
+		var slider = ariaSliders[channel],
+			tabIndex = accessibility && enabled ? 0 : -1;
+
+		setAttr(slider, 'aria-label', getChannelName(channel));
+		setAttr(slider, 'aria-valuenow', value);
+		setAttr(slider, 'aria-valuetext', getAriaText(channel));
+		setAttr(slider, 'aria-disabled', enabled ? null : 'true');
+
+		if (slider.tabIndex !== tabIndex) slider.tabIndex = tabIndex;
+	}
+
+	/*
+	 *	Set (or remove with null) an attribute only if its value changed,
+	 *	the sliders are updated with every render, also while dragging
+	*/
+	function setAttr(el, name, value) {
+
+		if (value === null) {
+			if (el.hasAttribute(name)) el.removeAttribute(name);
+		}
+		else if (el.getAttribute(name) !== '' + value) {
+			el.setAttribute(name, value);
+		}
+	}
+
+	function announce(text) {
+		liveRegion.textContent = text;
+	}
+
+	// name of channel in current color space
+	function getChannelName(channel) {
+		switch(channel) {
+			case 'saturation':
+				return space === 'oklch' || space === 'lch' ? 'chroma' : 'saturation';
+
+			case 'lightness':
+				return space === 'hsv' ? 'brightness' : 'lightness';
+
+			default:
+				return channel;
+		}
+	}
+
+	// value of channel as text, e.g. "hue 210 degrees, blue"
+	function getAriaText(channel) {
+		switch(channel) {
+			case 'hue':
+				return 'hue ' + Math.round(hue) % 360 + ' degrees, ' + getColorName();
+
+			case 'saturation':
+				return getChannelName(channel) + ' ' + Math.round(saturation * 100) + '%';
+
+			case 'lightness':
+				return getChannelName(channel) + ' ' + Math.round(lightness * 100) + '%, ' + getColorName();
+
+			default:
+				return 'alpha ' + Math.round(alpha * 100) + '%';
+		}
+	}
+
+	/*
+	 *	Approximate name of current color
+	*/
+	function getColorName() {
+
+		var max = Math.max(r, g, b),
+			min = Math.min(r, g, b),
+			h, i;
+
+		if (max - min < 16) return max < 32 ? 'black' : max > 224 ? 'white' : 'gray';
+
+		h = rgb2hsl(r, g, b).h;
+		for(i = 0; h >= hueNames[i][0]; i++);
+
+		return hueNames[i][1]
+	}
+
+	function getChecker() {
+
+		var c, cctx;
+
+		if (!checker) {
+			c = document.createElement('canvas');
+			c.width = c.height = 8;
+
+			cctx = c.getContext('2d');
+			cctx.fillStyle = '#fff';
+			cctx.fillRect(0, 0, 8, 8);
+			cctx.fillStyle = '#ccc';
+			cctx.fillRect(0, 0, 4, 4);
+			cctx.fillRect(4, 4, 4, 4);
+
+			checker = ctx.createPattern(c, 'repeat');
+		}
+
+		return checker
+	}
+
+	function clear() {
+
+		getRGB();
+
+		setBaseTransform();
+		ctx.clearRect(0, 0, diameter, diameter);
+
+		if (showColor && getLayout() === 'radial') {
+			var rd = (radiusHue - thickness * 0.5) * colorWidth;
+
+			ctx.beginPath();
+			ctx.arc(center, center, rd, 0, pi2);
+			ctx.closePath();
+
+			if (alpha < 1) {
+				ctx.fillStyle = getChecker();
+				ctx.fill();
+			}
+
+			ctx.fillStyle = 'rgba(' + r + ',' + g + ',' + b + ',' + alpha + ')';
+			ctx.fill();
+
+			ctx.lineWidth = colorBorder;
+			ctx.strokeStyle = colorBorderColor;
+			ctx.stroke();
+		}
+	}
+
+	function getRGB() {
+
+		var rgb = toRGB(hue, saturation, lightness);
+
+		if (space === 'oklch') gamutMapped = !convert.oklchInGamut(lightness, saturation * chromaRange.oklch, hue);
+		else if (space === 'lch') gamutMapped = !convert.lchInGamut(lightness * 100, saturation * chromaRange.lch, hue, whitePoint);
+		else gamutMapped = false;
+
+		r = rgb.r;
+		g = rgb.g;
+		b = rgb.b;
+		return rgb
+	}
+
+	/*
+	 *	Swatch strip with favorites and recent colors. The first button
+	 *	adds the current color to favorites, a right-click removes a favorite.
+	*/
+	function createSwatchStrip() {
+
+		swatchStrip = document.createElement('div');
+		swatchStrip.className = 'huewheel-swatches';
+		swatchStrip.style.cssText = 'display:flex;flex-wrap:wrap;gap:4px;padding-top:4px';
+
+		addEvent(swatchStrip, 'click', swatchClick);
+		addEvent(swatchStrip, 'contextmenu', swatchMenu);
+
+		element.appendChild(swatchStrip);
+		renderSwatches();
+	}
+
+	function removeSwatchStrip() {
+
+		removeEvent(swatchStrip, 'click', swatchClick);
+		removeEvent(swatchStrip, 'contextmenu', swatchMenu);
+
+		if (swatchStrip.parentNode) swatchStrip.parentNode.removeChild(swatchStrip);
+		swatchStrip = null;
+	}
+
+	function renderSwatches() {
+
+		if (!swatchStrip) return;
+
+		swatchStrip.style.width = diameter + 'px';
+		swatchStrip.innerHTML = '';
+
+		swatchStrip.appendChild(getSwatch('pin', '', 'Add current color to favorites'));
+
+		favoriteList.forEach(function(color) {
+			swatchStrip.appendChild(getSwatch('favorite', color, color + ' (favorite, right-click to remove)'));
+		});
+
+		recentList.forEach(function(color) {
+			swatchStrip.appendChild(getSwatch('recent', color, color));
+		});
+	}
+
+	function getSwatch(kind, color, title) {
+
+		var button = document.createElement('button'),
+			style = 'width:20px;height:20px;padding:0;border:1px solid #000;cursor:pointer;font:12px/1 sans-serif;';
+
+		button.type = 'button';
+		button.title = title;
+		button.setAttribute('data-kind', kind);
+		button.setAttribute('data-color', color);
+
+		if (color) {
+			style += 'background:linear-gradient(' + color + ',' + color + '),repeating-conic-gradient(#ccc 0 25%,#fff 0 50%) 0 0/8px 8px';
+		}
+		else {
+			style += 'background:#fff';
+			button.textContent = '\u2606';
+		}
+
+		button.style.cssText = style;
+
+		return button
+	}
+
+	function swatchClick(e) {
+
+		var kind = e.target.getAttribute('data-kind'),
+			c;
+
+		if (kind === 'pin') {
+			addFavorite(formatColor('hex'));
+		}
+		else if (kind) {
+			c = convert.parse(e.target.getAttribute('data-color'));
+			setRGB(c.r, c.g, c.b, c.a);
+			sendEvent('change', 'swatch');
+		}
+	}
+
+	function swatchMenu(e) {
+		if (e.target.getAttribute('data-kind') === 'favorite') {
+			cevent(e);
+			removeFavorite(e.target.getAttribute('data-color'));
+		}
+	}
+
+	function addRecent() {
+
+		var color = formatColor('hex');
+
+		recentList = [color].concat(recentList.filter(function(c) {return c !== color})).slice(0, swatchCount);
+
+		renderSwatches();
+		saveSwatches();
+	}
+
+	function addFavorite(color) {
+
+		if (favoriteList.indexOf(color) < 0) {
+			favoriteList.push(color);
+			renderSwatches();
+			saveSwatches();
+		}
+	}
+
+	function removeFavorite(color) {
+
+		favoriteList = favoriteList.filter(function(c) {return c !== color});
+
+		renderSwatches();
+		saveSwatches();
+	}
+
+	// normalizes a CSS color to a hex string, throws if not valid
+	function toSwatchColor(color) {
+
+		var c = convert.parse(color);
+		if (!c) throw new TypeError('HueWheel: invalid color "' + color + '"');
+
+		return convert.format(c, 'hex')
+	}
+
+	/*
+	 *	Storage is optional and best effort - failing storage (full, not
+	 *	available or rejected promises) leaves swatches in memory only.
+	*/
+	function loadSwatches() {
+
+		var value;
+
+		if (!storage || !instanceId) return;
+
+		try {
+			value = storage.getItem(storageKey);
+		}
+		catch(err) {
+			return;
+		}
+
+		if (value && typeof value.then === 'function') value.then(applyStoredSwatches, function() {});
+		else applyStoredSwatches(value);
+	}
+
+	function applyStoredSwatches(value) {
+
+		var data = null,
+			isColor = function(c) {return typeof c === 'string' && !!convert.parse(c)};
+
+		try {
+			data = JSON.parse(value);
+		}
+		catch(err) {}
+
+		if (!data || typeof data !== 'object') return;
+
+		// colors committed while loading come first
+		if (Array.isArray(data.recent)) {
+			recentList = recentList.concat(data.recent.filter(function(c) {
+				return isColor(c) && recentList.indexOf(c) < 0;
+			})).slice(0, swatchCount);
+		}
+
+		if (Array.isArray(data.favorites)) favoriteList = data.favorites.filter(isColor);
+
+		renderSwatches();
+	}
+
+	function saveSwatches() {
+
+		var result;
+
+		if (!storage || !instanceId) return;
+
+		try {
+			result = storage.setItem(storageKey, JSON.stringify({recent: recentList, favorites: favoriteList}));
+			if (result && typeof result.then === 'function') result.then(null, function() {});
+		}
+		catch(err) {}
+	}
+
+	// reading localStorage throws when it is blocked (sandboxed frames, privacy settings)
+	function getLocalStorage() {
+		try {
+			return window.localStorage
+		}
+		catch(err) {
+			return null
+		}
+	}
+
+	/*
+	 *	Misc system and checks
+	*/
+	/*
+	 *	"input" events are coalesced according to eventThrottle/eventDebounce.
+	 *	Other events are sent right away, after any pending input event.
+	*/
+	function sendEvent(type, cause) {
+
+		var e = getEvent(type, cause);
+
+		if (type === 'input') {
+			pendingEvent = e;
+			scheduleEvent();
+		}
+		else {
+			flushEvent();
+			if (type === 'change' && cause !== 'api' && cause !== 'history' && swatchStrip) addRecent();
+			dispatch(e);
+			if (type === 'change' && cause !== 'history') pushHistory();
+		}
+	}
+
+	function scheduleEvent() {
+
+		if (eventDebounce > 0) {
+			clearTimeout(timeoutRef);
+			timeoutRef = setTimeout(flushEvent, eventDebounce);
+		}
+		else if (eventThrottle === 'frame') {
+			if (!frameRef) frameRef = requestAnimationFrame(flushEvent);
+		}
+		else if (eventThrottle > 0) {
+			if (!timeoutRef)
+				timeoutRef = setTimeout(flushEvent, Math.max(0, lastEventTime + eventThrottle - Date.now()));
+		}
+		else {
+			flushEvent();
+		}
+	}
+
+	function flushEvent() {
+
+		var e = pendingEvent;
+
+		cancelEvent();
+
+		if (e) {
+			lastEventTime = Date.now();
+			dispatch(e);
+		}
+	}
+
+	function cancelEvent() {
+		cancelAnimationFrame(frameRef);
+		clearTimeout(timeoutRef);
+		frameRef = timeoutRef = 0;
+		pendingEvent = null;
+	}
+
+	function getEvent(type, cause) {
+
+		var ratio = contrastRef ? convert.contrast({r: r, g: g, b: b}, contrastRef) : null;
+
+		return {
+			type: type,
+			cause: cause,
+			h: hue % 360,
+			s: saturation,
+			l: lightness,
+			v: lightness,
+			r: r,
+			g: g,
+			b: b,
+			a: alpha,
+			hwb: rgb2hwb(r, g, b),
+			cmyk: convert.rgb2cmyk(r, g, b),
+			palette: getPalette(),
+			handle: handle.id,
+			gamutMapped: gamutMapped,
+			contrast: ratio,
+			apca: contrastRef ? convert.apca({r: r, g: g, b: b}, contrastRef) : null,
+			contrastOk: ratio === null || ratio >= minContrast,
+			x: x,
+			y: y,
+			pointerType: pointerType,
+			pressure: pressure
+		}
+	}
+
+	function dispatch(e) {
+
+		(handlers[e.type] || []).slice().forEach(function(fn) {
+			fn.call(me, e);
+		});
+
+		if (me.onchange && (e.type === 'input' || e.type === 'change'))
+			me.onchange(e);
+	}
+
+	/*
+	 *	Apply steps, palette snapping (pointer only, with keys the color
+	 *	would be pulled back) and minContrast to values set by user
+	*/
+	function constrain(usePalette) {
+		validateHSLV();
+		snapSteps();
+		if (usePalette) snapToPalette();
+		lightness = contrastLightness(lightness);
+	}
+
+	function snapSteps() {
+		if (hueStep) hue = snapValue(hue, hueStep) % 360;
+		if (satStep && hasSaturation()) saturation = Math.min(snapValue(saturation, satStep), 1);
+		if (lightStep) lightness = Math.min(snapValue(lightness, lightStep), 1);
+	}
+
+	function snapValue(v, step) {
+		return Math.round(Math.round(v / step) * step * 1e9) / 1e9
+	}
+
+	/*
+	 *	Set color to the nearest palette color within snapThreshold
+	*/
+	function snapToPalette() {
+
+		var best = null,
+			bestDist = snapThreshold,
+			lab, h, c;
+
+		if (!snapList.length) return;
+
+		c = toRGB(hue, saturation, lightness);
+		lab = convert.rgb2oklab(c.r, c.g, c.b);
+
+		snapList.forEach(function(item) {
+			var dl = item.lab.l - lab.l,
+				da = item.lab.a - lab.a,
+				db = item.lab.b - lab.b,
+				dist = Math.sqrt(dl * dl + da * da + db * db);
+
+			if (dist <= bestDist) {
+				best = item;
+				bestDist = dist;
+			}
+		});
+
+		if (best) {
+			h = hue;
+			c = convert.parse(best.color);
+			fromRGB(c.r, c.g, c.b);
+			if (!saturation) hue = h;	// keep knob angle for grays
+		}
+	}
+
+	function getSnapList(colors) {
+
+		if (!colors) return [];
+
+		return colors.map(function(color) {
+			var c = convert.parse(color);
+			if (!c) throw new TypeError('HueWheel: invalid color "' + color + '"');
+
+			color = convert.format({r: c.r, g: c.g, b: c.b, a: 1}, 'hex');
+			return {color: color, lab: convert.rgb2oklab(c.r, c.g, c.b)}
+		});
+	}
+
+	/*
+	 *	Contrast against reference color, the current hue and saturation is used
+	*/
+	function meetsContrast(l) {
+		return !contrastRef || convert.contrast(toRGB(hue, saturation, l), contrastRef) >= minContrast
+	}
+
+	/*
+	 *	meetsContrast() sampled over the lightness range, only redone when
+	 *	hue, saturation or the constraint change (in OKLCH/LCh every check
+	 *	is gamut-mapped, so not for every render or pointer move)
+	*/
+	function getContrastSamples() {
+
+		var steps = 120,
+			key = [hue, saturation, space, whitePoint, minContrast, convert.format(contrastRef, 'hex')].join(),
+			i;
+
+		if (key !== contrastKey) {
+			contrastKey = key;
+			contrastSamples = [];
+			for(i = 0; i <= steps; i++) contrastSamples.push(meetsContrast(i / steps));
+		}
+
+		return contrastSamples
+	}
+
+	/*
+	 *	In clamp mode returns the lightness nearest l which meets minContrast,
+	 *	l is returned if none does at current hue and saturation.
+	*/
+	function contrastLightness(l) {
+
+		var samples, steps,
+			best = -1,
+			i, t, hi;
+
+		l = Math.max(0, Math.min(l, 1));
+
+		if (contrastMode !== 'clamp' || !minContrast || meetsContrast(l)) return l;
+
+		samples = getContrastSamples();
+		steps = samples.length - 1;
+
+		for(i = 0; i <= steps; i++) {
+			t = i / steps;
+			if (samples[i] && (best < 0 || Math.abs(t - l) < Math.abs(best - l))) best = t;
+		}
+
+		if (best < 0) return l;
+
+		// refine the edge between best and l
+		for(i = 0, hi = l; i < 12; i++) {
+			t = (best + hi) * 0.5;
+			if (meetsContrast(t)) best = t;
+			else hi = t;
+		}
+
+		return best
+	}
+
+	function parseContrastRef(color) {
+
+		var c;
+
+		if (color === null || color === undefined || color === false || color === '') return null;
+
+		c = convert.parse(color);
+		if (!c) throw new TypeError('HueWheel: invalid color "' + color + '"');
+
+		return {r: c.r, g: c.g, b: c.b, a: 1}
+	}
+
+	/*
+	 *	History - a state is pushed for each committed change (if the colors
+	 *	changed). Colors are kept as RGB as well in case color space changes.
+	*/
+	function getSnapshot() {
+
+		storeHandle();
+
+		return {
+			space: space,
+			whitePoint: whitePoint,
+			selected: handle.id,
+			handles: handles.map(function(hd) {
+				return {id: hd.id, h: hd.h, s: hd.s, l: hd.l, a: hd.a, rgb: toRGB(hd.h, hd.s, hd.l)}
+			})
+		}
+	}
+
+	function applySnapshot(snapshot) {
+
+		var same = snapshot.space === space && snapshot.whitePoint === whitePoint;
+
+		handles = snapshot.handles.map(function(item) {
+
+			handle = {id: item.id};
+
+			if (same) {
+				hue = item.h;
+				saturation = item.s;
+				lightness = item.l;
+				alpha = item.a;
+			}
+			else {
+				fromRGB(item.rgb.r, item.rgb.g, item.rgb.b, item.a);
+			}
+
+			storeHandle();
+
+			return handle
+		});
+
+		selectHandle(findHandle(snapshot.selected) || handles[0]);
+	}
+
+	// colors of a snapshot for comparison
+	function getSnapshotKey(snapshot) {
+		return snapshot.handles.map(function(item) {
+			return [item.id, item.rgb.r, item.rgb.g, item.rgb.b, item.a].join()
+		}).join(';')
+	}
+
+	function pushHistory() {
+
+		var snapshot;
+
+		if (!historySize) return;
+
+		snapshot = getSnapshot();
+		if (historyIndex >= 0 && getSnapshotKey(history[historyIndex]) === getSnapshotKey(snapshot)) return;
+
+		history = history.slice(0, historyIndex + 1);
+		history.push(snapshot);
+		historyIndex = history.length - 1;
+		trimHistory();
+
+		sendHistory('push');
+	}
+
+	// remove oldest states beyond historySize
+	function trimHistory() {
+
+		while(history.length > historySize) {
+			history.shift();
+			historyIndex--;
+		}
+
+		if (historyIndex < 0) historyIndex = history.length - 1;
+	}
+
+	function stepHistory(dir) {
+
+		historyIndex += dir;
+		applySnapshot(history[historyIndex]);
+
+		render();
+		sendEvent('change', 'history');
+		sendHistory(dir < 0 ? 'undo' : 'redo');
+	}
+
+	function sendHistory(action) {
+		dispatch({
+			type: 'history',
+			action: action,
+			index: historyIndex,
+			length: history.length,
+			canUndo: historyIndex > 0,
+			canRedo: historyIndex < history.length - 1
+		});
+	}
+
+	function validateHSLV() {
+		hue %= 360;
+		saturation = Math.max(0, Math.min(saturation, 1));
+		lightness = Math.max(0, Math.min(lightness, 1));
+		alpha = Math.max(0, Math.min(alpha, 1));
+	}
+
+	/*
+	 *	Handles - the values of the selected handle are kept in hue,
+	 *	saturation, lightness and alpha and stored when it's deselected.
+	*/
+	function storeHandle() {
+		handle.h = hue;
+		handle.s = saturation;
+		handle.l = lightness;
+		handle.a = alpha;
+	}
+
+	function selectHandle(hd) {
+		storeHandle();
+		handle = hd;
+		hue = hd.h;
+		saturation = hd.s;
+		lightness = hd.l;
+		alpha = hd.a;
+	}
+
+	// adds a handle with the current color and selects it
+	function createHandle() {
+		storeHandle();
+		handle = {id: ++lastHandleId};
+		handles.push(handle);
+		storeHandle();
+	}
+
+	function findHandle(id) {
+		return handles.filter(function(hd) {return hd.id === id})[0] || null;
+	}
+
+	/*
+	 *	Run change (of color space or white point) keeping the color of all handles
+	*/
+	function keepColors(change) {
+
+		var current = handle,
+			colors;
+
+		storeHandle();
+		colors = handles.map(function(hd) {return toRGB(hd.h, hd.s, hd.l)});
+
+		change();
+
+		handles.forEach(function(hd, i) {
+			selectHandle(hd);
+			fromRGB(colors[i].r, colors[i].g, colors[i].b);
+		});
+
+		selectHandle(current);
+	}
+
+	/*
+	 *	Current color followed by its harmony colors
+	*/
+	function getPalette() {
+
+		return [0].concat(harmonyOffsets).map(function(offset) {
+
+			var h = ((hue + offset) % 360 + 360) % 360,
+				rgb = toRGB(h, saturation, lightness);
+
+			return {h: h, r: rgb.r, g: rgb.g, b: rgb.b, a: alpha}
+		});
+	}
+
+	/*
+	 *	Set harmony from a name or an array of hue offsets, returns false if not valid
+	*/
+	function setHarmony(value) {
+
+		if (Array.isArray(value)) {
+			if (!value.every(function(offset) {return isFinite(offset)})) return false;
+			harmonyOffsets = value.map(Number);
+			harmony = harmonyOffsets.slice();
+		}
+		else {
+			value = value || 'none';
+			if (!harmonies.hasOwnProperty(value)) return false;
+			harmonyOffsets = harmonies[value];
+			harmony = value;
+		}
+
+		return true
+	}
+
+	/*
+	 *	Convert values in current color space to RGB
+	*/
+	function toRGB(h, s, l) {
+		switch(space) {
+			case 'hsv':
+				return hsv2rgb(h, s, l);
+
+			case 'oklch':
+				return oklch2rgb(l, s * chromaRange.oklch, h);
+
+			case 'lch':
+				return lch2rgb(l * 100, s * chromaRange.lch, h, whitePoint);
+
+			default:
+				return hsl2rgb(h, s, l);
+		}
+	}
+
+	/*
+	 *	Set current color from RGB using current color space (alpha is kept if not given)
+	*/
+	function fromRGB(r, g, b, a) {
+
+		var c;
+
+		switch(space) {
+			case 'hsv':
+				c = rgb2hsv(r, g, b);
+				hue = c.h;
+				saturation = c.s;
+				lightness = c.v;
+				break;
+
+			case 'oklch':
+				c = rgb2oklch(r, g, b);
+				hue = c.h;
+				saturation = c.c / chromaRange.oklch;
+				lightness = c.l;
+				break;
+
+			case 'lch':
+				c = rgb2lch(r, g, b, whitePoint);
+				hue = c.h;
+				saturation = c.c / chromaRange.lch;
+				lightness = c.l * 0.01;
+				break;
+
+			default:
+				c = rgb2hsl(r, g, b);
+				hue = c.h;
+				saturation = c.s;
+				lightness = c.l;
+		}
+
+		if (a !== undefined) alpha = +a;
+		validateHSLV();
+	}
+
+	function formatColor(format) {
+		getRGB();
+		return convert.format({r: r, g: g, b: b, a: alpha}, format);
+	}
+
+	/*
+	 *	Exposed methods
+	*/
+
+	/**
+	 * Set the Hue Wheel current value using HSL. If no arguments ar
+	 * given current color is returned as Object with h, s, l, a as
+	 * properties.
+	 *
+	 * @param {Number} [h] - Hue
+	 * @param {Number} [s] - Saturation
+	 * @param {Number} [l] - Lightness
+	 * @param {Number} [a] - Alpha (current alpha is kept if not given)
+	 * @returns {*}
+	 */
+	this.hsl = function(h, s, l, a) {
+
+		if (!arguments.length) {
+
+			if (space === 'hsl') {
+				return {h: hue, s: saturation, l: lightness, a: alpha};
+			}
+			else {
+
+				var rgb = getRGB(),
+					hsl = rgb2hsl(rgb.r, rgb.g, rgb.b);
+
+				return {h: hsl.h, s: hsl.s, l: hsl.l, a: alpha};
+			}
+		}
+
+		if (space === 'hsl') {
+			setHSLV(h, s, l, a);
+		}
+		else {
+			var c = hsl2rgb(h, s, l);
+			setRGB(c.r, c.g, c.b, a);
+		}
+
+		pushHistory();
+
+		return this;
+	};
+
+	/**
+	 * Set the Hue Wheel current value using HSV. If no arguments ar
+	 * given current color is returned as Object with h, s, v, a as
+	 * properties.
+	 *
+	 * @param {Number} [h] - Hue
+	 * @param {Number} [s] - Saturation
+	 * @param {Number} [v] - Brightness
+	 * @param {Number} [a] - Alpha (current alpha is kept if not given)
+	 * @returns {*}
+	 */
+	this.hsv = function(h, s, v, a) {
+
+		var rgb, hsv;
+
+		if (!arguments.length) {
+			if (space === 'hsv') {
+				return {h: hue, s: saturation, v: lightness, a: alpha};
+			}
+			else {
+				rgb = getRGB();
+				hsv = rgb2hsv(rgb.r, rgb.g, rgb.b);
+				return {h: hsv.h, s: hsv.s, v: hsv.v, a: alpha};
+			}
+		}
+
+		if (space === 'hsv') {
+			setHSLV(h, s, v, a);
+		}
+		else {
+			rgb = hsv2rgb(h, s, v);
+			setRGB(rgb.r, rgb.g, rgb.b, a);
+		}
+
+		pushHistory();
+
+		return this;
+	};
+
+	/**
+	 * Set the Hue Wheel current value using HWB (hue, whiteness and
+	 * blackness). If no arguments are given current color is returned
+	 * as Object with h, w, b, a as properties.
+	 *
+	 * @param {Number} [h] - Hue
+	 * @param {Number} [w] - Whiteness [0.0, 1.0]
+	 * @param {Number} [b] - Blackness [0.0, 1.0]
+	 * @param {Number} [a] - Alpha (current alpha is kept if not given)
+	 * @returns {*}
+	 */
+	this.hwb = function(h, w, b, a) {
+
+		var rgb, hwb;
+
+		if (!arguments.length) {
+			if (space === 'hsv') {
+				return {h: hue, w: (1 - saturation) * lightness, b: 1 - lightness, a: alpha};
+			}
+			else {
+				rgb = getRGB();
+				hwb = rgb2hwb(rgb.r, rgb.g, rgb.b);
+				return {h: hwb.h, w: hwb.w, b: hwb.b, a: alpha};
+			}
+		}
+
+		rgb = hwb2rgb(h, w, b);
+		setRGB(rgb.r, rgb.g, rgb.b, a);
+		pushHistory();
+
+		return this;
+	};
+
+	/**
+	 * Set the Hue Wheel current value using naive CMYK (no color profile).
+	 * If no arguments are given current color is returned as Object with
+	 * c, m, y, k, a as properties.
+	 *
+	 * @param {Number} [c] - Cyan [0.0, 1.0]
+	 * @param {Number} [m] - Magenta [0.0, 1.0]
+	 * @param {Number} [y] - Yellow [0.0, 1.0]
+	 * @param {Number} [k] - Black [0.0, 1.0]
+	 * @param {Number} [a] - Alpha (current alpha is kept if not given)
+	 * @returns {*}
+	 */
+	this.cmyk = function(c, m, y, k, a) {
+
+		var rgb, cmyk;
+
+		if (!arguments.length) {
+			rgb = getRGB();
+			cmyk = convert.rgb2cmyk(rgb.r, rgb.g, rgb.b);
+			return {c: cmyk.c, m: cmyk.m, y: cmyk.y, k: cmyk.k, a: alpha};
+		}
+
+		rgb = convert.cmyk2rgb(c, m, y, k);
+		setRGB(rgb.r, rgb.g, rgb.b, a);
+		pushHistory();
+
+		return this;
+	};
+
+	/**
+	 * Set the Hue Wheel current value using OKLCH. If no arguments are
+	 * given current color is returned as Object with l, c, h, a as
+	 * properties. Colors outside sRGB are gamut-mapped by reducing chroma.
+	 *
+	 * @param {Number} [l] - Perceptual lightness [0.0, 1.0]
+	 * @param {Number} [c] - Chroma [0.0, 0.4]
+	 * @param {Number} [h] - Hue [0, 360>
+	 * @param {Number} [a] - Alpha (current alpha is kept if not given)
+	 * @returns {*}
+	 */
+	this.oklch = function(l, c, h, a) {
+
+		var rgb, lch;
+
+		if (!arguments.length) {
+			if (space === 'oklch') {
+				return {l: lightness, c: saturation * chromaRange.oklch, h: hue, a: alpha};
+			}
+			else {
+				rgb = getRGB();
+				lch = rgb2oklch(rgb.r, rgb.g, rgb.b);
+				return {l: lch.l, c: lch.c, h: lch.h, a: alpha};
+			}
+		}
+
+		if (space === 'oklch') {
+			setHSLV(h, c / chromaRange.oklch, l, a);
+		}
+		else {
+			rgb = oklch2rgb(l, c, h);
+			setRGB(rgb.r, rgb.g, rgb.b, a);
+		}
+
+		pushHistory();
+
+		return this;
+	};
+
+	/**
+	 * Set the Hue Wheel current value using CIE LCh(ab) relative to the
+	 * current white point (see whitePoint()). If no arguments are given
+	 * current color is returned as Object with l, c, h, a as properties.
+	 * Colors outside sRGB are gamut-mapped by reducing chroma.
+	 *
+	 * @param {Number} [l] - Lightness [0, 100]
+	 * @param {Number} [c] - Chroma [0, 150]
+	 * @param {Number} [h] - Hue [0, 360>
+	 * @param {Number} [a] - Alpha (current alpha is kept if not given)
+	 * @returns {*}
+	 */
+	this.lch = function(l, c, h, a) {
+
+		var rgb, lch;
+
+		if (!arguments.length) {
+			if (space === 'lch') {
+				return {l: lightness * 100, c: saturation * chromaRange.lch, h: hue, a: alpha};
+			}
+			else {
+				rgb = getRGB();
+				lch = rgb2lch(rgb.r, rgb.g, rgb.b, whitePoint);
+				return {l: lch.l, c: lch.c, h: lch.h, a: alpha};
+			}
+		}
+
+		if (space === 'lch') {
+			setHSLV(h, c / chromaRange.lch, l * 0.01, a);
+		}
+		else {
+			rgb = lch2rgb(l, c, h, whitePoint);
+			setRGB(rgb.r, rgb.g, rgb.b, a);
+		}
+
+		pushHistory();
+
+		return this;
+	};
+
+	/**
+	 * Set the Hue Wheel current value using CIE Lab relative to the
+	 * current white point (see whitePoint()). If no arguments are given
+	 * current color is returned as Object with l, a, b, alpha as
+	 * properties (a is the Lab component here, not alpha).
+	 *
+	 * @param {Number} [l] - Lightness [0, 100]
+	 * @param {Number} [a] - green/red axis
+	 * @param {Number} [b] - blue/yellow axis
+	 * @param {Number} [alpha] - Alpha (current alpha is kept if not given)
+	 * @returns {*}
+	 */
+	this.lab = function(l, a, b, alpha) {
+
+		var lch, h;
+
+		if (!arguments.length) {
+			lch = me.lch();
+			return {
+				l: lch.l,
+				a: lch.c * Math.cos(lch.h * d2r),
+				b: lch.c * Math.sin(lch.h * d2r),
+				alpha: lch.a
+			};
+		}
+
+		h = Math.atan2(b, a) * r2d;
+
+		return me.lch(l, Math.sqrt(a * a + b * b), h < 0 ? h + 360 : h, alpha);
+	};
+
+	function setHSLV(h, s, l, a) {
+
+		hue = h;
+		saturation = s;
+		lightness = l;
+		if (a !== undefined) alpha = +a;
+		validateHSLV();
+
+		render();
+		//sendEvent();
+	}
+
+	/**
+	 * Set the Hue Wheel current value using RGB. If no arguments ar
+	 * given current color is returned as Object with r, g, b, a as
+	 * properties.
+	 *
+	 * @param {Number} [r] - red
+	 * @param {Number} [g] - green
+	 * @param {Number} [b] - blue
+	 * @param {Number} [a] - alpha [0.0, 1.0] (current alpha is kept if not given)
+	 * @returns {*}
+	 */
+	this.rgb = function(r, g, b, a) {
+
+		if (!arguments.length) {
+			var rgb = getRGB();
+			return {r: rgb.r, g: rgb.g, b: rgb.b, a: alpha};
+		}
+
+		setRGB(r, g, b, a);
+		sendEvent('change', 'api');
+
+		return this;
+	};
+
+	function setRGB(r, g, b, a) {
+
+		var rgb = validateRGB(r, g, b);
+
+		fromRGB(rgb.r, rgb.g, rgb.b, a);
+		render();
+	}
+
+	/**
+	 * Set or get alpha (opacity) value [0.0, 1.0].
+	 *
+	 * @param {Number} [a] - alpha
+	 * @returns {*}
+	 */
+	this.alpha = function(a) {
+
+		if (!arguments.length) return alpha;
+
+		setHSLV(hue, saturation, lightness, a);
+		pushHistory();
+
+		return this
+	};
+
+	/**
+	 * Set the Hue Wheel current value using a CSS color string. If no
+	 * argument is given the current color is returned as a hex string.
+	 *
+	 * Accepted formats are hex ("#rgb", "#rgba", "#rrggbb", "#rrggbbaa"),
+	 * "rgb()", "rgba()", "hsl()", "hsla()", "hwb()" and all CSS named
+	 * colors. Alpha is set from the string (1 if it has none).
+	 *
+	 * @param {String} [color] - CSS color string
+	 * @returns {*}
+	 */
+	this.color = function(color) {
+
+		if (!arguments.length) return formatColor('hex');
+
+		var c = convert.parse(color);
+		if (!c) throw new TypeError('HueWheel: invalid color "' + color + '"');
+
+		setRGB(c.r, c.g, c.b, c.a);
+		sendEvent('change', 'api');
+
+		return this;
+	};
+
+	/**
+	 * Get current color as a CSS color string. Alpha is included if < 1.
+	 *
+	 * @param {String} [format='hex'] - "hex", "rgb", "hsl" or "hwb"
+	 * @returns {String}
+	 */
+	this.toString = function(format) {
+		return formatColor(format);
+	};
+
+	/*
+	 *	Internal helpers
+	*/
+	function isBool(a) {return (typeof a === 'boolean')}
+
+	/*
+	 *	METHODS
+	*/
+
+	/**
+	 * Show or hide color spot. If no arguments are given the current
+	 * state is returned.
+	 *
+	 * @param {Boolean} [state=true]
+	 * @returns {*}
+	 */
+	this.showColor = function(state) {
+
+		if (!arguments.length) return showColor;
+
+		showColor = !!state;
+		render();
+
+		return this
+	};
+
+	/**
+	 * Set or get diameter of control in pixels. Ring thickness and
+	 * knob sizes are recalculated unless they were set explicitly.
+	 *
+	 * @param {Number} [d] - diameter in pixels
+	 * @returns {*}
+	 */
+	this.diameter = function(d) {
+
+		if (!arguments.length) return diameter;
+
+		setDiameter(+d);
+
+		return this
+	};
+
+	/**
+	 * Enable or disable following the width of the parent element
+	 * (using ResizeObserver). If no arguments are given the current
+	 * state is returned.
+	 *
+	 * @param {Boolean} [state]
+	 * @returns {*}
+	 */
+	this.autoSize = function(state) {
+
+		if (!arguments.length) return !!resizeObserver;
+
+		autoSize(!!state);
+
+		return this
+	};
+
+	/**
+	 * Allow changing lightness (show or hide lightness ring).
+	 * If no arguments are given the current state is returned.
+	 *
+	 * @param {Boolean} [state=true]
+	 * @returns {*}
+	 */
+	this.changeLightness = function(state) {
+
+		if (!arguments.length || !isBool(state))
+			return useLuma;
+
+		useLuma = state;
+
+		generateCanvas();
+		render();
+
+		return this
+	};
+
+	/**
+	 * Allow changing saturation (show or hide saturation slider).
+	 * If no arguments are given the current state is returned.
+	 *
+	 * @param {Boolean} [state=true]
+	 * @returns {*}
+	 */
+	this.changeSaturation = function(state) {
+
+		if (!arguments.length) return useSat;
+
+		useSat = !!state;
+
+		generateCanvas();
+		render();
+
+		return this;
+	};
+
+	/**
+	 * Allow changing alpha (show or hide alpha ring).
+	 * If no arguments are given the current state is returned.
+	 *
+	 * @param {Boolean} [state=false]
+	 * @returns {*}
+	 */
+	this.changeAlpha = function(state) {
+
+		if (!arguments.length || !isBool(state))
+			return useAlpha;
+
+		useAlpha = state;
+
+		generateCanvas();
+		render();
+
+		return this
+	};
+
+	/**
+	 * Change thickness of Hue ring. If no argument is given then
+	 * current thickness is returned.
+	 *
+	 * @param {Number} [t] - Factor or width max 30% of control diameter
+	 * @returns {*}
+	 */
+	this.thicknessHue = function(t) {
+
+		if (!arguments.length) return thickness;
+
+		if (t < 3) t = 3;
+		if (t > diameter * 0.3) t = (diameter * 0.3)|0;
+
+		thickness = t;
+		customThickness.hue = true;
+
+		generateCanvas();
+		render();
+
+		return this;
+	};
+
+	/**
+	 * Change thickness of lightnes ring. If no argument is given then
+	 * current thickness is returned.
+	 *
+	 * @param {Number} [t] - Factor or width max 20% of control diameter
+	 * @returns {*}
+	 */
+	this.thicknessLightness = function(t) {
+
+		if (!arguments.length) return lumaThickness;
+
+		if (t < 3) t = 3;
+		if (t > diameter * 0.2) t = (diameter * 0.2)|0;
+
+		lumaThickness = t;
+		customThickness.luma = true;
+
+		generateCanvas();
+		render();
+
+		return this
+	};
+
+	/**
+	 * Change thickness of alpha ring. If no argument is given then
+	 * current thickness is returned.
+	 *
+	 * @param {Number} [t] - Factor or width max 20% of control diameter
+	 * @returns {*}
+	 */
+	this.thicknessAlpha = function(t) {
+
+		if (!arguments.length) return alphaThickness;
+
+		if (t < 3) t = 3;
+		if (t > diameter * 0.2) t = (diameter * 0.2)|0;
+
+		alphaThickness = t;
+		customThickness.alpha = true;
+
+		generateCanvas();
+		render();
+
+		return this
+	};
+
+	/**
+	 * A normalized factor of control's radius used for the color
+	 * spot. If no argument is given current radius factor is returned.
+	 *
+	 * @param {Number} [radiusFactor] - [0.0, 1.0]
+	 * @returns {*}
+	 */
+	this.colorSpotRadius = function(radiusFactor) {
+
+		if (!arguments.length) return colorWidth;
+
+		colorWidth = +radiusFactor;
+
+		generateCanvas();
+		render();
+
+		return this
+	};
+
+	/**
+	 * Set or get color space ("hsl", "hsv", "oklch" or "lch"). The current
+	 * color is converted to the new color space.
+	 *
+	 * In OKLCH mode the hue ring is the OKLCH hue, the saturation slider
+	 * chroma (0.4 at the edge) and the lightness ring perceptual lightness.
+	 * LCh mode works the same way using CIE LCh(ab) (chroma 150 at the
+	 * edge, lightness ring is L* / 100), see whitePoint().
+	 *
+	 * @param {String} [colSpace] - name of color space
+	 * @returns {*}
+	 */
+	this.colorSpace = function(colSpace) {
+
+		if (!arguments.length || spaces.indexOf(colSpace) < 0)
+			return space;
+
+		if (colSpace !== space) {
+			keepColors(function() {
+				space = colSpace;
+			});
+			generateCanvas();
+		}
+
+		render();
+		sendEvent('change', 'api');
+
+		return this
+	};
+
+	/**
+	 * Set or get layout of saturation and lightness inside the hue ring:
+	 * "radial" (saturation by the distance of the hue knob from center and
+	 * lightness on a separate ring) or "triangle" (a triangle pointing at
+	 * the current hue with the pure color, white and black at its corners,
+	 * positions give saturation and value for "hsv" and lightness for
+	 * "hsl") or "square" (saturation from left to right and
+	 * value or lightness from bottom to top, in the current hue). With
+	 * "triangle" and "square" saturation and lightness can always be
+	 * changed and the lightness ring and color spot are not shown.
+	 *
+	 * "triangle" and "square" are available in the "hsl" and "hsv" color
+	 * spaces only. In "oklch" and "lch" the radial layout is used and
+	 * returned, the chosen layout comes back when switching to HSL or HSV.
+	 *
+	 * @param {String} [value] - "radial", "triangle" or "square"
+	 * @returns {*}
+	 */
+	this.layout = function(value) {
+
+		if (!arguments.length || layouts.indexOf(value) < 0)
+			return getLayout();
+
+		if (value !== layout) {
+			layout = value;
+			generateCanvas();
+			render();
+		}
+
+		return this
+	};
+
+	/**
+	 * Set or get reference white used for CIE Lab and LCh ("D50" or "D65").
+	 * The current color is kept.
+	 *
+	 * @param {String} [wp] - "D50" or "D65"
+	 * @returns {*}
+	 */
+	this.whitePoint = function(wp) {
+
+		if (!arguments.length || (wp !== 'D50' && wp !== 'D65'))
+			return whitePoint;
+
+		if (wp !== whitePoint) {
+			keepColors(function() {
+				whitePoint = wp;
+			});
+
+			if (space === 'lch') {
+				generateCanvas();
+				render();
+				sendEvent('change', 'api');
+			}
+		}
+
+		return this
+	};
+
+	/**
+	 * Show or hide the swatch strip below the wheel. The strip has a
+	 * button to add the current color to favorites, the favorites and the
+	 * most recent committed colors. Clicking a swatch sets the color (the
+	 * event cause is "swatch"), right-clicking a favorite removes it. If no
+	 * arguments are given the number of recent colors is returned (0 if
+	 * the strip is hidden).
+	 *
+	 * @param {Number|Boolean} [count] - number of recent colors to show, true for 8, 0 or false to hide
+	 * @returns {*}
+	 */
+	this.swatches = function(count) {
+
+		if (!arguments.length) return swatchCount;
+
+		setOption('swatches', count);
+		update(0);
+
+		return this
+	};
+
+	/**
+	 * Set or get favorite colors as an array of hex strings.
+	 *
+	 * @param {Array} [colors] - CSS color strings
+	 * @returns {*}
+	 */
+	this.favorites = function(colors) {
+
+		if (!arguments.length) return favoriteList.slice();
+
+		favoriteList = colors.map(toSwatchColor);
+		renderSwatches();
+		saveSwatches();
+
+		return this
+	};
+
+	/**
+	 * Set or get recent colors (newest first) as an array of hex strings.
+	 * Use an empty array to clear.
+	 *
+	 * @param {Array} [colors] - CSS color strings
+	 * @returns {*}
+	 */
+	this.recentColors = function(colors) {
+
+		if (!arguments.length) return recentList.slice();
+
+		recentList = colors.map(toSwatchColor).slice(0, swatchCount);
+		renderSwatches();
+		saveSwatches();
+
+		return this
+	};
+
+	/**
+	 * Add a color to favorites.
+	 *
+	 * @param {String} [color] - CSS color string, current color if not given
+	 * @returns {HueWheel}
+	 */
+	this.addFavorite = function(color) {
+		addFavorite(arguments.length ? toSwatchColor(color) : formatColor('hex'));
+		return this
+	};
+
+	/**
+	 * Remove a color from favorites.
+	 *
+	 * @param {String} color - CSS color string
+	 * @returns {HueWheel}
+	 */
+	this.removeFavorite = function(color) {
+		removeFavorite(toSwatchColor(color));
+		return this
+	};
+
+	/**
+	 * Add a handle to the wheel and select it. Each handle has its own
+	 * color and can be selected and dragged on its own, the methods
+	 * setting and getting the color work on the selected handle. Events
+	 * tell which handle they are for (e.handle).
+	 *
+	 * @param {String} [color] - CSS color string, if not given the current color is used
+	 * @returns {Number} id of the new handle
+	 */
+	this.addHandle = function(color) {
+
+		var c = arguments.length ? convert.parse(color) : null;
+		if (arguments.length && !c) throw new TypeError('HueWheel: invalid color "' + color + '"');
+
+		createHandle();
+		if (c) fromRGB(c.r, c.g, c.b, c.a);
+
+		render();
+		sendEvent('change', 'api');
+
+		return handle.id
+	};
+
+	/**
+	 * Remove a handle. The last handle can not be removed. If the selected
+	 * handle is removed the first handle is selected.
+	 *
+	 * @param {Number} id - id of handle
+	 * @returns {HueWheel}
+	 */
+	this.removeHandle = function(id) {
+
+		var hd = findHandle(id);
+
+		if (hd && handles.length > 1) {
+			handles.splice(handles.indexOf(hd), 1);
+
+			if (hd === handle) selectHandle(handles[0]);
+
+			render();
+			sendEvent('change', 'api');
+		}
+
+		return this
+	};
+
+	/**
+	 * Select a handle by id. If no arguments are given the id of the
+	 * selected handle is returned.
+	 *
+	 * @param {Number} [id] - id of handle
+	 * @returns {*}
+	 */
+	this.selectHandle = function(id) {
+
+		if (!arguments.length) return handle.id;
+
+		var hd = findHandle(id);
+
+		if (hd && hd !== handle) {
+			selectHandle(hd);
+			render();
+			sendEvent('change', 'api');
+		}
+
+		return this
+	};
+
+	/**
+	 * Get all handles as an array of objects with id, h, s, l, v, r, g, b,
+	 * a and selected as properties (h, s, l/v in current color space).
+	 *
+	 * @returns {Array}
+	 */
+	this.getHandles = function() {
+
+		storeHandle();
+
+		return handles.map(function(hd) {
+
+			var rgb = toRGB(hd.h, hd.s, hd.l);
+
+			return {
+				id: hd.id,
+				h: hd.h,
+				s: hd.s,
+				l: hd.l,
+				v: hd.l,
+				r: rgb.r,
+				g: rgb.g,
+				b: rgb.b,
+				a: hd.a,
+				selected: hd === handle
+			}
+		});
+	};
+
+	/**
+	 * Set or get color harmony. Harmony colors are shown as extra knobs on
+	 * the hue ring which follow the hue knob, and are included in events as
+	 * a palette. Use one of "complementary", "analogous", "triadic",
+	 * "split-complementary", "tetradic" (rectangle) or an array of hue
+	 * offsets in degrees, e.g. [90, 180, 270]. Use "none" (or false) to
+	 * turn off.
+	 *
+	 * @param {String|Array|Boolean} [value] - harmony name or hue offsets
+	 * @returns {*}
+	 */
+	this.harmony = function(value) {
+
+		if (!arguments.length)
+			return Array.isArray(harmony) ? harmony.slice() : harmony;
+
+		if (setHarmony(value)) {
+			render();
+			sendEvent('change', 'api');
+		}
+
+		return this
+	};
+
+	/**
+	 * Set or get hue step in degrees. When set, hue snaps to multiples of
+	 * the step when operated by pointer or keys (keys move one step) and
+	 * the hue ring is shown in segments. Use a step dividing 360, e.g. 15
+	 * for 24 hues. 0 turns snapping off.
+	 *
+	 * @param {Number} [step] - step in degrees
+	 * @returns {*}
+	 */
+	this.hueStep = function(step) {
+
+		if (!arguments.length) return hueStep;
+
+		hueStep = Math.max(0, +step || 0);
+		generateCanvas();
+		render();
+
+		return this
+	};
+
+	/**
+	 * Set or get saturation step [0.0, 1.0]. When set, saturation snaps to
+	 * multiples of the step when operated by pointer or keys and the steps
+	 * are shown as circles inside the hue ring. 0 turns snapping off.
+	 *
+	 * @param {Number} [step] - step, e.g. 0.1
+	 * @returns {*}
+	 */
+	this.saturationStep = function(step) {
+
+		if (!arguments.length) return satStep;
+
+		satStep = Math.max(0, +step || 0);
+		generateCanvas();
+		render();
+
+		return this
+	};
+
+	/**
+	 * Set or get lightness step [0.0, 1.0]. When set, lightness snaps to
+	 * multiples of the step when operated by pointer or keys and the
+	 * lightness ring is shown in segments, e.g. 1/9 for 10 tones including
+	 * black and white. 0 turns snapping off.
+	 *
+	 * @param {Number} [step] - step
+	 * @returns {*}
+	 */
+	this.lightnessStep = function(step) {
+
+		if (!arguments.length) return lightStep;
+
+		lightStep = Math.max(0, +step || 0);
+		generateCanvas();
+		render();
+
+		return this
+	};
+
+	/**
+	 * Set or get palette to snap to. When the pointer selects a color within
+	 * snapThreshold (distance in OKLab) of a palette color, the palette
+	 * color is selected instead. Snapping is applied after steps. Use null
+	 * or an empty array to turn off. If no argument is given the palette is
+	 * returned as an array of hex strings.
+	 *
+	 * @param {Array|null} [colors] - CSS color strings
+	 * @returns {*}
+	 */
+	this.snapPalette = function(colors) {
+
+		if (!arguments.length)
+			return snapList.map(function(item) {return item.color});
+
+		snapList = getSnapList(colors);
+
+		return this
+	};
+
+	/**
+	 * Set or get distance (in OKLab) within which a palette color is
+	 * snapped to, see snapPalette(). For reference 0.02 is roughly a just
+	 * noticeable difference.
+	 *
+	 * @param {Number} [threshold] - distance, default 0.05
+	 * @returns {*}
+	 */
+	this.snapThreshold = function(threshold) {
+
+		if (!arguments.length) return snapThreshold;
+
+		snapThreshold = Math.max(0, +threshold || 0);
+
+		return this
+	};
+
+	/**
+	 * Set or get reference color for contrast as a CSS color string, or
+	 * null to turn off. When set, events include the WCAG 2.x contrast
+	 * ratio ("contrast") and the APCA Lc value ("apca", current color as
+	 * text on the reference as background). Alpha is ignored. If no
+	 * argument is given the reference is returned as a hex string or null.
+	 *
+	 * @param {String|null} [color] - CSS color string
+	 * @returns {*}
+	 */
+	this.contrastAgainst = function(color) {
+
+		if (!arguments.length)
+			return contrastRef ? convert.format(contrastRef, 'hex') : null;
+
+		contrastRef = parseContrastRef(color);
+
+		render();
+		sendEvent('change', 'api');
+
+		return this
+	};
+
+	/**
+	 * Set or get minimum WCAG 2.x contrast ratio against the reference
+	 * color (see contrastAgainst()), e.g. 4.5 for AA text. The part of the
+	 * lightness ring that doesn't meet it is marked and events report
+	 * contrastOk. 0 turns the constraint off.
+	 *
+	 * @param {Number} [ratio] - minimum contrast ratio [1, 21] or 0
+	 * @returns {*}
+	 */
+	this.minContrast = function(ratio) {
+
+		if (!arguments.length) return minContrast;
+
+		minContrast = Math.max(0, +ratio || 0);
+
+		render();
+		sendEvent('change', 'api');
+
+		return this
+	};
+
+	/**
+	 * Set or get how minContrast is applied: "flag" only reports it in
+	 * events (contrastOk), "clamp" also keeps the lightness the user can
+	 * reach with pointer and keys within the allowed range (if any exists
+	 * at the current hue and saturation). Colors set through the API are
+	 * not clamped.
+	 *
+	 * @param {String} [mode] - "flag" or "clamp"
+	 * @returns {*}
+	 */
+	this.contrastMode = function(mode) {
+
+		if (!arguments.length || (mode !== 'flag' && mode !== 'clamp'))
+			return contrastMode;
+
+		contrastMode = mode;
+
+		return this
+	};
+
+	/**
+	 * Set or get the accessible name of the control (aria-label).
+	 *
+	 * @param {String} [text] - label, default "Color picker"
+	 * @returns {*}
+	 */
+	this.label = function(text) {
+
+		if (!arguments.length) return label;
+
+		label = "" + text;
+		canvas.setAttribute('aria-label', label);
+
+		return this
+	};
+
+	/**
+	 * Set or get if lightness ring should allow mouse to click anywhere
+	 * in the ring to set new lightness. If off the knob only can be
+	 * used.
+	 *
+	 * @param {Boolean} [state]
+	 * @returns {*}
+	 */
+	this.lightnessClickable = function(state) {
+		if (!arguments.length) return lightClickable;
+		lightClickable = !!state;
+		return this
+	};
+
+	/**
+	 * Enable or disable holding the CTRL-key to lock Hue while moving
+	 * saturation.
+	 *
+	 * @param state
+	 * @returns {*}
+	 */
+	this.ctrlLock = function(state) {
+		if (!arguments.length) return ctrlLock;
+		ctrlLock = !!state;
+		return this
+	};
+
+	/**
+	 * Undo last committed change. Colors set with the methods that don't
+	 * send events (hsl(), hsv(), hwb(), cmyk(), oklch(), lch(), lab() and
+	 * alpha()) are in the history as well.
+	 * A "change" event with cause "history" is sent.
+	 *
+	 * @returns {HueWheel}
+	 */
+	this.undo = function() {
+
+		pushHistory();
+		if (historyIndex > 0) stepHistory(-1);
+
+		return this
+	};
+
+	/**
+	 * Redo a change undone with undo(). A "change" event with cause
+	 * "history" is sent.
+	 *
+	 * @returns {HueWheel}
+	 */
+	this.redo = function() {
+
+		if (historyIndex < history.length - 1) stepHistory(1);
+
+		return this
+	};
+
+	/**
+	 * Check if there is a change to undo.
+	 *
+	 * @returns {Boolean}
+	 */
+	this.canUndo = function() {
+		return historyIndex > 0
+	};
+
+	/**
+	 * Check if there is a change to redo.
+	 *
+	 * @returns {Boolean}
+	 */
+	this.canRedo = function() {
+		return historyIndex < history.length - 1
+	};
+
+	/**
+	 * Clear undo/redo history, the current colors are kept as first state.
+	 *
+	 * @returns {HueWheel}
+	 */
+	this.clearHistory = function() {
+
+		history = historySize ? [getSnapshot()] : [];
+		historyIndex = history.length - 1;
+		sendHistory('clear');
+
+		return this
+	};
+
+	/**
+	 * Set one or more options at runtime, using the same names as the
+	 * constructor options. All options are validated before any is
+	 * applied and the control is updated once. If the color space or
+	 * white point changes and no colors are given the current colors are
+	 * kept. A "change" event is sent if colors or color space are given.
+	 *
+	 * @example
+	 * hueWheel.setOptions({hueKnobColor: "#000", hueKnobSize: 0.15, useKeys: false});
+	 *
+	 * @param {Object} opts - options, see constructor
+	 * @returns {HueWheel}
+	 */
+	this.setOptions = function(opts) {
+
+		if (!opts || typeof opts !== 'object')
+			throw new TypeError('HueWheel: options must be an object');
+
+		Object.keys(opts).forEach(function(key) {
+			validateOption(key, opts[key]);
+		});
+
+		applyOptions(opts);
+
+		if (hasColorOption(opts) || 'colorSpace' in opts || 'whitePoint' in opts)
+			sendEvent('change', 'api');
+
+		return this
+	};
+
+	/**
+	 * Get current options as a plain object using the same names as the
+	 * constructor options. Colors, the onChange callback and a custom
+	 * storage adapter are not included, see getState().
+	 *
+	 * @returns {Object}
+	 */
+	this.getOptions = function() {
+
+		var opts = {
+			diameter: diameter,
+			autoSize: !!resizeObserver,
+			colorSpace: space,
+			whitePoint: whitePoint,
+			layout: layout,	// as chosen, may be used as radial (see getLayout())
+			changeSaturation: useSat,
+			changeLightness: useLuma,
+			changeAlpha: useAlpha,
+			showColorSpot: showColor,
+			useKeys: useKeys,
+			hueKeyDelta: hueKeyDelta,
+			saturationKeyDelta: satKeyDelta,
+			lightnessKeyDelta: lightKeyDelta,
+			alphaKeyDelta: alphaKeyDelta,
+			hueKeyCodeUp: hueKeysUp.slice(),
+			hueKeyCodeDown: hueKeysDown.slice(),
+			saturationKeyCodeUp: satKeysUp.slice(),
+			saturationKeyCodeDown: satKeysDown.slice(),
+			lightnessKeyCodeUp: lightKeysUp.slice(),
+			lightnessKeyCodeDown: lightKeysDown.slice(),
+			alphaKeyCodeUp: alphaKeysUp.slice(),
+			alphaKeyCodeDown: alphaKeysDown.slice(),
+			keyShiftFactor: keyShiftFactor,
+			hueKnobSize: knobWidth,
+			shadowBlur: shadow,
+			hueKnobShadow: hueShadow,
+			tabable: accessibility,
+			label: label,
+			colorSpotWidth: colorWidth,
+			colorSpotBorder: colorBorder,
+			lightnessRingClickable: lightClickable,
+			ctrlLock: ctrlLock,
+			eventThrottle: eventThrottle,
+			eventDebounce: eventDebounce,
+			harmony: Array.isArray(harmony) ? harmony.slice() : harmony,
+			hueStep: hueStep,
+			saturationStep: satStep,
+			lightnessStep: lightStep,
+			snapPalette: snapList.map(function(item) {return item.color}),
+			snapThreshold: snapThreshold,
+			contrastAgainst: contrastRef ? convert.format(contrastRef, 'hex') : null,
+			minContrast: minContrast,
+			contrastMode: contrastMode,
+			swatches: swatchCount,
+			favorites: favoriteList.slice(),
+			historySize: historySize,
+			historyKeys: historyKeys,
+			id: instanceId
+		};
+
+		// colors are only included if set, otherwise they follow the theme
+		Object.keys(userColors).forEach(function(key) {
+			if (userColors[key]) opts[key] = userColors[key];
+		});
+
+		// thicknesses are only included if set, otherwise they follow diameter
+		if (customThickness.hue) opts.thicknessHue = thickness;
+		if (customThickness.luma) opts.thicknessLightness = lumaThickness;
+		if (customThickness.alpha) opts.thicknessAlpha = alphaThickness;
+
+		// a custom adapter can't be serialized
+		if (!storage) opts.storage = false;
+		else if (storage === getLocalStorage()) opts.storage = true;
+
+		return opts
+	};
+
+	/**
+	 * Get the state of the control as a plain object which can be
+	 * serialized as JSON: the options (see getOptions()) and the colors
+	 * as hue, saturation, lightness and alpha in current color space plus
+	 * all handles. The undo history is not included.
+	 *
+	 * @returns {Object}
+	 */
+	this.getState = function() {
+
+		var state = me.getOptions();
+
+		storeHandle();
+
+		state.hue = hue;
+		state.saturation = saturation;
+		state.lightness = lightness;
+		state.alpha = alpha;
+		state.handles = handles.map(function(hd) {
+			return {h: hd.h, s: hd.s, l: hd.l, a: hd.a, selected: hd === handle}
+		});
+
+		return state
+	};
+
+	/**
+	 * Restore a state returned by getState(). Any subset of the
+	 * constructor options can be given; options not in the state are kept.
+	 * The state is validated as in setOptions() before anything is applied.
+	 * The control is regenerated and rendered once and a "change" event is
+	 * sent.
+	 *
+	 * @param {Object} state - state as returned by getState()
+	 * @returns {HueWheel}
+	 */
+	this.setState = function(state) {
+
+		if (!state || typeof state !== 'object')
+			throw new TypeError('HueWheel: state must be an object');
+
+		Object.keys(state).forEach(function(key) {
+			validateOption(key, state[key]);
+		});
+
+		applyOptions(state);
+		sendEvent('change', 'api');
+
+		return this
+	};
+
+	/**
+	 * Same as getState(), called by JSON.stringify().
+	 *
+	 * @returns {Object}
+	 */
+	this.toJSON = function() {
+		return me.getState()
+	};
+
+	/**
+	 * Add a listener for an event type:
+	 *
+	 * - "input" - the color changes while a knob is dragged or a key is held
+	 * - "change" - a change is committed (drag ended, ring clicked, key released, undo/redo or set using rgb()/colorSpace())
+	 * - "dragstart" - a knob is grabbed
+	 * - "dragend" - a knob is released
+	 * - "history" - the undo/redo history changed, the event has the properties action ("push", "undo", "redo" or "clear"), index, length, canUndo and canRedo
+	 *
+	 * Except for "history" the listener receives an event object (see
+	 * {@link HueWheel#event:mouseEvent}) with the instance as `this`.
+	 *
+	 * @param {String} type - event type
+	 * @param {Function} fn - listener
+	 * @returns {HueWheel}
+	 */
+	this.on = function(type, fn) {
+
+		if (typeof fn !== 'function')
+			throw new TypeError("HueWheel: listener must be a function");
+
+		(handlers[type] = handlers[type] || []).push(fn);
+
+		return this
+	};
+
+	/**
+	 * Remove a listener added with on(). If no listener is given all
+	 * listeners for the event type are removed.
+	 *
+	 * @param {String} type - event type
+	 * @param {Function} [fn] - listener to remove
+	 * @returns {HueWheel}
+	 */
+	this.off = function(type, fn) {
+
+		var list = handlers[type],
+			i;
+
+		if (list) {
+			if (arguments.length < 2) {
+				delete handlers[type];
+			}
+			else {
+				i = list.indexOf(fn);
+				if (i >= 0) list.splice(i, 1);
+			}
+		}
+
+		return this
+	};
+
+	/**
+	 * Destroy the control. All event listeners are removed, pending
+	 * events are cancelled and the canvas is removed from the parent
+	 * element. Any later call to a method of this instance will throw
+	 * an error.
+	 *
+	 * @param {Boolean} [restore=false] - restore the original content of the parent element
+	 */
+	this.destroy = function(restore) {
+
+		release();
+		removeEvents();
+		autoSize(false);
+		cancelEvent();
+		clearTimeout(hueTypedRef);
+		cancelAnimationFrame(themeRef);
+		if (themeObserver) themeObserver.disconnect();
+		if (attachObserver) attachObserver.disconnect();
+		handlers = {};
+
+		if (canvas.parentNode) canvas.parentNode.removeChild(canvas);
+		if (swatchStrip) removeSwatchStrip();
+		if (restore) element.appendChild(originalContent);
+
+		me.onchange = null;
+
+		Object.keys(me).forEach(function(key) {
+			if (typeof me[key] === 'function') me[key] = destroyed;
+		});
+
+		function destroyed() {
+			throw new Error("HueWheel: instance has been destroyed");
+		}
+	};
 
 	/*
-	 *	Misc system and checks
+	 *	Convertion public vectors
 	*/
-	function sendEvent() {
 
-		clearTimeout(timeoutRef);
+	/**
+	 * Convert RGB to HSL
+	 * @method
+	 * @param {number} r - red component [0, 255]
+	 * @param {number} g - green component [0, 255]
+	 * @param {number} b - blue component [0, 255]
+	 * @returns {object} Object with properties h, s, l
+	 */
+	this.rgb2hsl = rgb2hsl;
 
-		if (me.onchange)
-			timeoutRef = setTimeout(me.onchange({
-				h: hue % 360,
-				s: saturation,
-				l: lightness,
-				v: lightness,
-				r: r,
-				g: g,
-				b: b,
-				x: x,
-				y: y,
-				isIE: msPointer,
-				isTouch: isTouch
-			}), 7);
-	}
+	/**
+	 * Convert RGB to HSL
+	 * @method
+	 * @param {number} r - red component [0, 255]
+	 * @param {number} g - green component [0, 255]
+	 * @param {number} b - blue component [0, 255]
+	 * @returns {object} Object with properties h, s, v
+	 */
+	this.rgb2hsv = rgb2hsv;
 
-	function validateHSLV() {
-		hue %= 360;
-		saturation = Math.max(0, Math.min(saturation, 1));
-		lightness = Math.max(0, Math.min(lightness, 1));
-	}
+	/**
+	 * Convert HSV to RGB
+	 * @method
+	 * @param {number} h - hue [0, 360>
+	 * @param {number} s - saturation [0.0, 1.0]
+	 * @param {number} v - brightness [0.0, 1.0]
+	 * @returns {object} Object with properties r, g, b
+	 */
+	this.hsv2rgb = hsv2rgb;
+
+	/**
+	 * Convert HSL to RGB
+	 * @method
+	 * @param {number} h - hue [0, 360>
+	 * @param {number} s - saturation [0.0, 1.0]
+	 * @param {number} l - lightness [0.0, 1.0]
+	 * @returns {object} Object with properties r, g, b
+	 */
+	this.hsl2rgb = hsl2rgb;
+}
+
+/**
+ * Event object for HueWheel (onchange and listeners added with on())
+ *
+ * @event HueWheel#mouseEvent
+ * @type {Object}
+ * @prop {String} type - event type ("input", "change", "dragstart" or "dragend")
+ * @prop {String} cause - what caused the event ("pointer", "keyboard", "swatch", "history" or "api")
+ * @prop {Number} h - current hue [0, 360> (OKLCH or LCh hue in OKLCH and LCh mode)
+ * @prop {Number} s - current saturation [0.0, 1.0] (chroma / 0.4 in OKLCH mode, chroma / 150 in LCh mode)
+ * @prop {Number} l - (if HSL mode) current lightness [0.0, 0.1]
+ * @prop {Number} v - (if HSV mode) current brightness [0.0, 0.1]
+ * @prop {Number} r - current red [0, 255]
+ * @prop {Number} g - current green [0, 255]
+ * @prop {Number} b - current blue [0, 255]
+ * @prop {Number} a - current alpha [0.0, 1.0]
+ * @prop {Object} hwb - current color as HWB with properties h [0, 360>, w and b [0.0, 1.0]
+ * @prop {Object} cmyk - current color as naive CMYK with properties c, m, y and k [0.0, 1.0]
+ * @prop {Number} handle - id of the selected handle the event is for (see addHandle())
+ * @prop {Array} palette - current color followed by its harmony colors (see harmony()), each with properties h, r, g, b, a
+ * @prop {Boolean} gamutMapped - (if OKLCH or LCh mode) current color is outside sRGB and shown with reduced chroma
+ * @prop {Number|null} contrast - WCAG 2.x contrast ratio against contrastAgainst() color, null if not set
+ * @prop {Number|null} apca - APCA Lc of current color as text on contrastAgainst() color, null if not set
+ * @prop {Boolean} contrastOk - contrast meets minContrast() (true if no reference color is set)
+ * @prop {Number} x - current x position in wheel
+ * @prop {Number} y - current y position in wheel
+ * @prop {String} pointerType - type of pointer that last operated the control ("mouse", "pen" or "touch"), empty if none has
+ * @prop {Number} pressure - pressure of last pointer [0.0, 1.0] (0.5 for mouse when a button is pressed)
+ */
 
+/**
+ * Color conversions and CSS color strings. These do not depend on the DOM
+ * and can be used without creating a control, for example in Node:
+ *
+ *     var convert = require("./src/convert.js");	// or HueWheel.convert in a browser
+ *     convert.hsl2rgb(210, 0.5, 0.4);				// {r: 51, g: 102, b: 153}
+ *
+ * @namespace
+ */
+HueWheel.convert = (function() {
+
+	"use strict";
+
+	var r2d = 180 / Math.PI,
+		d2r = Math.PI / 180;
+
+	/**
+	 * Round and clamp RGB values to [0, 255].
+	 *
+	 * @param {Number} r - red component
+	 * @param {Number} g - green component
+	 * @param {Number} b - blue component
+	 * @returns {{r: Number, g: Number, b: Number}}
+	 */
 	function validateRGB(r, g, b) {
 		return {
-			r: Math.max(0, Math.min(r|0, 255)),
-			g: Math.max(0, Math.min(g|0, 255)),
-			b: Math.max(0, Math.min(b|0, 255))
+			r: Math.max(0, Math.min(Math.round(r) || 0, 255)),
+			g: Math.max(0, Math.min(Math.round(g) || 0, 255)),
+			b: Math.max(0, Math.min(Math.round(b) || 0, 255))
 		}
 	}
 
+	// hue wrapped to [0, 360>, also for negative angles
+	function normalizeHue(h) {
+		return ((h % 360) + 360) % 360
+	}
+
 	/*
 	 *	HSL and HSV <--> RGB
 	*/
+	/**
+	 * Convert HSV to RGB
+	 *
+	 * @param {Number} h - hue [0, 360>
+	 * @param {Number} s - saturation [0.0, 1.0]
+	 * @param {Number} v - brightness [0.0, 1.0]
+	 * @returns {Object} Object with properties r, g, b
+	 */
 	function hsv2rgb(h, s, v) {
 
-		h /= 60;
+		h = normalizeHue(h) / 60;
 
 		var i = h|0,
 			f = h - i,
@@ -872,10 +4606,18 @@ function HueWheel(parent, options) {
 		return validateRGB(rgb[0] * 255, rgb[1] * 255, rgb[2] * 255)
 	}
 
+	/**
+	 * Convert HSL to RGB
+	 *
+	 * @param {Number} h - hue [0, 360>
+	 * @param {Number} s - saturation [0.0, 1.0]
+	 * @param {Number} l - lightness [0.0, 1.0]
+	 * @returns {Object} Object with properties r, g, b
+	 */
 	// Credit: https://gist.github.com/aemkei/1325937
 	function hsl2rgb(h, s, l) {
 
-		h /= 60;
+		h = normalizeHue(h) / 60;
 
 		var c = [
 			l += s *= l < 0.5 ? l : 1 - l,
@@ -893,37 +4635,14 @@ function HueWheel(parent, options) {
 		);
 	}
 
-/*
-	function hsl2rgb2(h, s, l) {
-
-		var r, g, b, q, p;
-
-		h /= 360;
-
-		if (s === 0) {
-			r = g = b = l;
-		}
-		else {
-			q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-			p = 2 * l - q;
-
-			r = hue2rgb(p, q, h + 0.333333);
-			g = hue2rgb(p, q, h);
-			b = hue2rgb(p, q, h - 0.333333);
-		}
-
-		function hue2rgb(p, q, t) {
-			t %= 1;
-			if (t < 0.166667) return p + (q - p) * t * 6;
-			if (t < 0.5) return q;
-			if (t < 0.666667) return p + (q - p) * (0.666667 - t) * 6;
-			return p;
-		}
-
-		return validateRGB(r * 255, g * 255, b * 255)
-	}
-*/
-
+	/**
+	 * Convert RGB to HSL
+	 *
+	 * @param {Number} r - red component [0, 255]
+	 * @param {Number} g - green component [0, 255]
+	 * @param {Number} b - blue component [0, 255]
+	 * @returns {Object} Object with properties h, s, l
+	 */
 	function rgb2hsl(r, g, b){
 
 		r /= 255;
@@ -968,6 +4687,14 @@ function HueWheel(parent, options) {
 		}
 	}
 
+	/**
+	 * Convert RGB to HSV
+	 *
+	 * @param {Number} r - red component [0, 255]
+	 * @param {Number} g - green component [0, 255]
+	 * @param {Number} b - blue component [0, 255]
+	 * @returns {Object} Object with properties h, s, v
+	 */
 	function rgb2hsv(r, g, b) {
 
 		r /= 255;
@@ -1004,375 +4731,734 @@ function HueWheel(parent, options) {
 		}
 	}
 
+	/**
+	 * Convert RGB to HWB (hue, whiteness and blackness)
+	 *
+	 * @param {Number} r - red component [0, 255]
+	 * @param {Number} g - green component [0, 255]
+	 * @param {Number} b - blue component [0, 255]
+	 * @returns {Object} Object with properties h, w, b
+	 */
+	function rgb2hwb(r, g, b) {
+
+		var hsv = rgb2hsv(r, g, b);
+
+		return {
+			h: hsv.h,
+			w: (1 - hsv.s) * hsv.v,
+			b: 1 - hsv.v
+		}
+	}
+
+	/**
+	 * Convert HWB to RGB
+	 *
+	 * @param {Number} h - hue [0, 360>
+	 * @param {Number} w - whiteness [0.0, 1.0]
+	 * @param {Number} b - blackness [0.0, 1.0]
+	 * @returns {Object} Object with properties r, g, b
+	 */
+	function hwb2rgb(h, w, b) {
+
+		var sum = w + b,
+			v;
+
+		if (sum >= 1) {
+			v = w / sum * 255;
+			return validateRGB(v, v, v)
+		}
+
+		v = 1 - b;
+
+		return hsv2rgb(h, 1 - w / v, v)
+	}
+
+	/**
+	 * Convert RGB to naive CMYK (no color profile)
+	 *
+	 * @param {Number} r - red component [0, 255]
+	 * @param {Number} g - green component [0, 255]
+	 * @param {Number} b - blue component [0, 255]
+	 * @returns {Object} Object with properties c, m, y, k [0.0, 1.0]
+	 */
+	function rgb2cmyk(r, g, b) {
+
+		var k = 1 - Math.max(r, g, b) / 255,
+			d = 1 - k;
+
+		if (d <= 0) return {c: 0, m: 0, y: 0, k: 1};
+
+		return {
+			c: (d - r / 255) / d,
+			m: (d - g / 255) / d,
+			y: (d - b / 255) / d,
+			k: k
+		}
+	}
+
+	/**
+	 * Convert naive CMYK to RGB
+	 *
+	 * @param {Number} c - cyan [0.0, 1.0]
+	 * @param {Number} m - magenta [0.0, 1.0]
+	 * @param {Number} y - yellow [0.0, 1.0]
+	 * @param {Number} k - black [0.0, 1.0]
+	 * @returns {Object} Object with properties r, g, b
+	 */
+	function cmyk2rgb(c, m, y, k) {
+
+		var d = 255 * (1 - k);
+
+		return validateRGB((1 - c) * d, (1 - m) * d, (1 - y) * d)
+	}
+
 	/*
-	 *	Exposed methods
+	 *	OKLab and OKLCH <--> RGB (sRGB)
+	 *	Credit: https://bottosson.github.io/posts/oklab/
 	*/
+	function toLinear(v) {
+		v /= 255;
+		return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+	}
+
+	function fromLinear(v) {
+		return 255 * (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+	}
+
+	function linear2oklab(rgb) {
+
+		var l = Math.cbrt(0.4122214708 * rgb[0] + 0.5363325363 * rgb[1] + 0.0514459929 * rgb[2]),
+			m = Math.cbrt(0.2119034982 * rgb[0] + 0.6806995451 * rgb[1] + 0.1073969566 * rgb[2]),
+			s = Math.cbrt(0.0883024619 * rgb[0] + 0.2817188376 * rgb[1] + 0.6299787005 * rgb[2]);
+
+		return [
+			0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+			1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+			0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+		]
+	}
+
+	// returns linear RGB, components may be outside [0.0, 1.0]
+	function oklab2linear(L, a, b) {
+
+		var l = L + 0.3963377774 * a + 0.2158037573 * b,
+			m = L - 0.1055613458 * a - 0.0638541728 * b,
+			s = L - 0.0894841775 * a - 1.2914855480 * b;
+
+		l *= l * l;
+		m *= m * m;
+		s *= s * s;
+
+		return [
+			 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+			-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+			-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+		]
+	}
+
+	function oklch2linear(l, c, h) {
+		h *= d2r;
+		return oklab2linear(l, c * Math.cos(h), c * Math.sin(h))
+	}
+
+	function linear2rgb(rgb) {
+		return validateRGB(fromLinear(rgb[0]), fromLinear(rgb[1]), fromLinear(rgb[2]))
+	}
+
+	// tolerance is well within rounding to 8-bit RGB
+	function isLinearInGamut(rgb) {
+		return rgb.every(function(v) {return v >= -1e-4 && v <= 1 + 1e-4});
+	}
+
+	function clipLinear(rgb) {
+		return rgb.map(function(v) {return Math.max(0, Math.min(v, 1))});
+	}
+
+	// distance in OKLab between a linear RGB color and the color clipped to sRGB
+	function clipDelta(rgb, clipped) {
+
+		var p = linear2oklab(rgb),
+			q = linear2oklab(clipped);
+
+		return Math.sqrt((p[0] - q[0]) * (p[0] - q[0]) + (p[1] - q[1]) * (p[1] - q[1]) + (p[2] - q[2]) * (p[2] - q[2]))
+	}
 
 	/**
-	 * Set the Hue Wheel current value using HSL. If no arguments ar
-	 * given current color is returned as Object with h, s, l as
-	 * properties.
+	 * Convert RGB to OKLab
 	 *
-	 * @param {Number} [h] - Hue
-	 * @param {Number} [s] - Saturation
-	 * @param {Number} [l] - Lightness
-	 * @returns {*}
+	 * @param {Number} r - red component [0, 255]
+	 * @param {Number} g - green component [0, 255]
+	 * @param {Number} b - blue component [0, 255]
+	 * @returns {Object} Object with properties l, a, b
 	 */
-	this.hsl = function(h, s, l) {
+	function rgb2oklab(r, g, b) {
 
-		if (!arguments.length) {
+		var lab = linear2oklab([toLinear(r), toLinear(g), toLinear(b)]);
 
-			if (isHSL) {
-				return {h: hue, s: saturation, l: lightness};
-			}
-			else {
+		return {
+			l: lab[0],
+			a: lab[1],
+			b: lab[2]
+		}
+	}
 
-				var rgb = hsv2rgb(hue, saturation, lightness),
-					hsl = rgb2hsl(rgb.r, rgb.g, rgb.b);
+	/**
+	 * Convert OKLab to RGB. Colors outside sRGB are clipped (see oklch2rgb
+	 * for gamut mapping).
+	 *
+	 * @param {Number} l - lightness [0.0, 1.0]
+	 * @param {Number} a - green/red axis
+	 * @param {Number} b - blue/yellow axis
+	 * @returns {Object} Object with properties r, g, b
+	 */
+	function oklab2rgb(l, a, b) {
+		return linear2rgb(oklab2linear(l, a, b))
+	}
 
-				return {h: hsl.h, s: hsl.s, l: hsl.l};
-			}
-		}
+	/**
+	 * Convert RGB to OKLCH
+	 *
+	 * @param {Number} r - red component [0, 255]
+	 * @param {Number} g - green component [0, 255]
+	 * @param {Number} b - blue component [0, 255]
+	 * @returns {Object} Object with properties l, c, h
+	 */
+	function rgb2oklch(r, g, b) {
 
-		setHSLV(h, s, l);
+		var lab = rgb2oklab(r, g, b),
+			c = Math.sqrt(lab.a * lab.a + lab.b * lab.b),
+			h = c < 1e-6 ? 0 : Math.atan2(lab.b, lab.a) * r2d;
 
-		return this;
-	};
+		return {
+			l: lab.l,
+			c: c,
+			h: h < 0 ? h + 360 : h
+		}
+	}
 
 	/**
-	 * Set the Hue Wheel current value using HSV. If no arguments ar
-	 * given current color is returned as Object with h, s, v as
-	 * properties.
+	 * Convert OKLCH to RGB. Colors outside sRGB are gamut-mapped by
+	 * reducing chroma while keeping lightness and hue.
 	 *
-	 * @param {Number} [h] - Hue
-	 * @param {Number} [s] - Saturation
-	 * @param {Number} [v] - Brightness
-	 * @returns {*}
+	 * @param {Number} l - lightness [0.0, 1.0]
+	 * @param {Number} c - chroma [0.0, 0.4]
+	 * @param {Number} h - hue [0, 360>
+	 * @returns {Object} Object with properties r, g, b
 	 */
-	this.hsv = function(h, s, v) {
+	function oklch2rgb(l, c, h) {
 
-		var rgb, hsv, hsl;
+		if (l >= 1) return validateRGB(255, 255, 255);
+		if (l <= 0) return validateRGB(0, 0, 0);
 
-		if (!arguments.length) {
-			if (isHSL) {
-				rgb = hsl2rgb(hue, saturation, lightness);
-				hsv = rgb2hsv(rgb.r, rgb.g, rgb.b);
-				return {h: hsv.h, s: hsv.s, v: hsv.v};
+		return mapChroma(function(c) {return oklch2linear(l, c, h)}, c)
+	}
+
+	/*
+	 *	Gamut mapping by reducing chroma using the CSS Color 4 algorithm
+	 *	(https://www.w3.org/TR/css-color-4/#binsearch). getLinear(chroma)
+	 *	returns linear RGB for the color with the given chroma.
+	*/
+	function mapChroma(getLinear, c) {
+
+		var jnd = 0.02,
+			eps = 0.0001,
+			rgb = getLinear(c),
+			clipped = clipLinear(rgb),
+			e, min, max, minInGamut;
+
+		if (isLinearInGamut(rgb) || clipDelta(rgb, clipped) < jnd) return linear2rgb(clipped);
+
+		min = 0;
+		max = c;
+		minInGamut = true;
+
+		while(max - min > eps) {
+
+			c = (min + max) * 0.5;
+			rgb = getLinear(c);
+
+			if (minInGamut && isLinearInGamut(rgb)) {
+				min = c;
+				continue;
+			}
+
+			clipped = clipLinear(rgb);
+			e = clipDelta(rgb, clipped);
+
+			if (e < jnd) {
+				if (jnd - e < eps) break;
+				minInGamut = false;
+				min = c;
 			}
 			else {
-				return {h: hue, s: saturation, v: lightness};
+				max = c;
 			}
 		}
 
-		rgb = hsv2rgb(h, s, v);
-		hsl = rgb2hsl(rgb.r, rgb.g, rgb.b);
+		return linear2rgb(clipped)
+	}
+
+	/**
+	 * Check if an OKLCH color is inside sRGB (not gamut-mapped by oklch2rgb).
+	 *
+	 * @param {Number} l - lightness [0.0, 1.0]
+	 * @param {Number} c - chroma
+	 * @param {Number} h - hue [0, 360>
+	 * @returns {Boolean}
+	 */
+	function oklchInGamut(l, c, h) {
+		return isLinearInGamut(oklch2linear(l, c, h))
+	}
+
+	/*
+	 *	CIE Lab and LCh(ab) <--> RGB (sRGB) with D50 or D65 reference white,
+	 *	D50 uses Bradford chromatic adaptation from sRGB's D65.
+	*/
+	var whitePoints = {
+		D50: {
+			white: [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585],
+			fromD65: [
+				 1.0479298208405488,  0.022946793341019088, -0.05019222954313557,
+				 0.029627815688159344, 0.990434484573249,   -0.01707382502938514,
+				-0.009243058152591178, 0.015055144896577895, 0.7518742899580008
+			],
+			toD65: [
+				 0.9554734527042182,  -0.023098536874261423, 0.0632593086610217,
+				-0.028369706963208136, 1.0099954580058226,   0.021041398966943008,
+				 0.012314001688319899, -0.020507696433477912, 1.3303659366080753
+			]
+		},
+		D65: {
+			white: [0.3127 / 0.3290, 1, (1 - 0.3127 - 0.3290) / 0.3290]
+		}
+	},
+		linear2xyz = [
+			0.41239079926595950, 0.35758433938387800, 0.18048078840183430,
+			0.21263900587151036, 0.71516867876775600, 0.07219231536073371,
+			0.01933081871559185, 0.11919477979462599, 0.95053215224966060
+		],
+		xyz2linear = [
+			 3.2409699419045213, -1.5373831775700935, -0.49861076029300330,
+			-0.9692436362808798,  1.8759675015077206,  0.04155505740717561,
+			 0.0556300796969936, -0.2039769588889766,  1.05697151424287860
+		],
+		labE = 216 / 24389,
+		labK = 24389 / 27;
+
+	function multiply(m, v) {
+		return [
+			m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+			m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+			m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+		]
+	}
+
+	function getWhitePoint(whitePoint) {
+		return whitePoints[whitePoint || 'D50'] || whitePoints.D50
+	}
 
-		setHSLV(hsl.h, hsl.s, hsl.l);
+	// returns linear RGB, components may be outside [0.0, 1.0]
+	function lab2linear(l, a, b, whitePoint) {
 
-		return this;
-	};
+		var wp = getWhitePoint(whitePoint),
+			fy = (l + 16) / 116,
+			fx = fy + a / 500,
+			fz = fy - b / 200,
+			xyz = [
+				(fx * fx * fx > labE ? fx * fx * fx : (116 * fx - 16) / labK) * wp.white[0],
+				(l > labK * labE ? fy * fy * fy : l / labK) * wp.white[1],
+				(fz * fz * fz > labE ? fz * fz * fz : (116 * fz - 16) / labK) * wp.white[2]
+			];
 
-	function setHSLV(h, s, l) {
+		if (wp.toD65) xyz = multiply(wp.toD65, xyz);
 
-		hue = h;
-		saturation = s;
-		lightness = l;
-		validateHSLV();
+		return multiply(xyz2linear, xyz)
+	}
 
-		render();
-		//sendEvent();
+	function lch2linear(l, c, h, whitePoint) {
+		h *= d2r;
+		return lab2linear(l, c * Math.cos(h), c * Math.sin(h), whitePoint)
 	}
 
 	/**
-	 * Set the Hue Wheel current value using RGB. If no arguments ar
-	 * given current color is returned as Object with r, g, b as
-	 * properties.
+	 * Convert RGB to CIE Lab
 	 *
-	 * @param {Number} [r] - red
-	 * @param {Number} [g] - green
-	 * @param {Number} [b] - blue
-	 * @returns {*}
+	 * @param {Number} r - red component [0, 255]
+	 * @param {Number} g - green component [0, 255]
+	 * @param {Number} b - blue component [0, 255]
+	 * @param {String} [whitePoint='D50'] - reference white, "D50" or "D65"
+	 * @returns {Object} Object with properties l [0, 100], a, b
 	 */
-	this.rgb = function(r, g, b) {
-
-		if (!arguments.length)
-			return {h: hue, s: saturation, l: lightness, v: lightness};
+	function rgb2lab(r, g, b, whitePoint) {
 
-		var rgb = validateRGB(r, g, b);
+		var wp = getWhitePoint(whitePoint),
+			xyz = multiply(linear2xyz, [toLinear(r), toLinear(g), toLinear(b)]),
+			f;
 
-		r = rgb.r;
-		g = rgb.g;
-		b = rgb.b;
+		if (wp.fromD65) xyz = multiply(wp.fromD65, xyz);
 
-		var hsl = (isHSL) ? rgb2hsl(r, g, b) : rgb2hsv(r, g, b);
+		f = xyz.map(function(v, i) {
+			v /= wp.white[i];
+			return v > labE ? Math.cbrt(v) : (labK * v + 16) / 116;
+		});
 
-		hue = hsl.h;
-		saturation = hsl.s;
-		lightness = hsl.l || hsl.v;
-		validateHSLV();
+		return {
+			l: 116 * f[1] - 16,
+			a: 500 * (f[0] - f[1]),
+			b: 200 * (f[1] - f[2])
+		}
+	}
 
-		render();
-		sendEvent();
+	/**
+	 * Convert CIE Lab to RGB. Colors outside sRGB are clipped (see lch2rgb
+	 * for gamut mapping).
+	 *
+	 * @param {Number} l - lightness [0, 100]
+	 * @param {Number} a - green/red axis
+	 * @param {Number} b - blue/yellow axis
+	 * @param {String} [whitePoint='D50'] - reference white, "D50" or "D65"
+	 * @returns {Object} Object with properties r, g, b
+	 */
+	function lab2rgb(l, a, b, whitePoint) {
+		return linear2rgb(lab2linear(l, a, b, whitePoint))
+	}
 
-		return this;
-	};
+	/**
+	 * Convert RGB to CIE LCh(ab)
+	 *
+	 * @param {Number} r - red component [0, 255]
+	 * @param {Number} g - green component [0, 255]
+	 * @param {Number} b - blue component [0, 255]
+	 * @param {String} [whitePoint='D50'] - reference white, "D50" or "D65"
+	 * @returns {Object} Object with properties l [0, 100], c, h
+	 */
+	function rgb2lch(r, g, b, whitePoint) {
 
-	/*
-	 *	Internal helpers
-	*/
-	function isBool(a) {return (typeof a === 'boolean')}
+		var lab = rgb2lab(r, g, b, whitePoint),
+			c = Math.sqrt(lab.a * lab.a + lab.b * lab.b),
+			h = c < 1e-4 ? 0 : Math.atan2(lab.b, lab.a) * r2d;
 
-	/*
-	 *	METHODS
-	*/
+		return {
+			l: lab.l,
+			c: c,
+			h: h < 0 ? h + 360 : h
+		}
+	}
 
 	/**
-	 * Show or hide color spot. If no arguments are given the current
-	 * state is returned.
+	 * Convert CIE LCh(ab) to RGB. Colors outside sRGB are gamut-mapped by
+	 * reducing chroma while keeping lightness and hue.
 	 *
-	 * @param {Boolean} [state=true]
-	 * @returns {*}
+	 * @param {Number} l - lightness [0, 100]
+	 * @param {Number} c - chroma [0, 150]
+	 * @param {Number} h - hue [0, 360>
+	 * @param {String} [whitePoint='D50'] - reference white, "D50" or "D65"
+	 * @returns {Object} Object with properties r, g, b
 	 */
-	this.showColor = function(state) {
-
-		if (!arguments.length) return showColor;
+	function lch2rgb(l, c, h, whitePoint) {
 
-		showColor = !!state;
-		render();
+		if (l >= 100) return validateRGB(255, 255, 255);
+		if (l <= 0) return validateRGB(0, 0, 0);
 
-		return this
-	};
+		return mapChroma(function(c) {return lch2linear(l, c, h, whitePoint)}, c)
+	}
 
 	/**
-	 * Allow changing lightness (show or hide lightness ring).
-	 * If no arguments are given the current state is returned.
+	 * Check if a CIE LCh(ab) color is inside sRGB (not gamut-mapped by lch2rgb).
 	 *
-	 * @param {Boolean} [state=true]
-	 * @returns {*}
+	 * @param {Number} l - lightness [0, 100]
+	 * @param {Number} c - chroma
+	 * @param {Number} h - hue [0, 360>
+	 * @param {String} [whitePoint='D50'] - reference white, "D50" or "D65"
+	 * @returns {Boolean}
 	 */
-	this.changeLightness = function(state) {
-
-		if (!arguments.length || !isBool(state))
-			return useLuma;
+	function lchInGamut(l, c, h, whitePoint) {
+		return isLinearInGamut(lch2linear(l, c, h, whitePoint))
+	}
 
-		useLuma = state;
+	/*
+	 *	Contrast
+	*/
+	/**
+	 * Relative luminance of an sRGB color as defined by WCAG 2.x
+	 *
+	 * @param {Number} r - red component [0, 255]
+	 * @param {Number} g - green component [0, 255]
+	 * @param {Number} b - blue component [0, 255]
+	 * @returns {Number} luminance [0.0, 1.0]
+	 */
+	function luminance(r, g, b) {
+		return 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b)
+	}
 
-		lumaThickness = useLuma ? Math.max(diameter * 0.05, 3) : 0;
+	/**
+	 * WCAG 2.x contrast ratio between two colors. The order of the colors
+	 * doesn't matter. Alpha is ignored.
+	 *
+	 * @param {Object} c1 - color with properties r, g, b
+	 * @param {Object} c2 - color with properties r, g, b
+	 * @returns {Number} contrast ratio [1, 21]
+	 */
+	function contrast(c1, c2) {
 
-		generateCanvas();
-		render();
+		var l1 = luminance(c1.r, c1.g, c1.b),
+			l2 = luminance(c2.r, c2.g, c2.b);
 
-		return this
-	};
+		return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05)
+	}
 
 	/**
-	 * Allow changing saturation (show or hide saturation slider).
-	 * If no arguments are given the current state is returned.
+	 * APCA lightness contrast (Lc) of text on a background (APCA-W3 0.0.98G).
+	 * Positive for dark text on light background, negative for light text on
+	 * dark background. Alpha is ignored.
+	 * Credit: https://github.com/Myndex/apca-w3
 	 *
-	 * @param {Boolean} [state=true]
-	 * @returns {*}
+	 * @param {Object} text - text color with properties r, g, b
+	 * @param {Object} background - background color with properties r, g, b
+	 * @returns {Number} Lc [-108, 106]
 	 */
-	this.changeSaturation = function(state) {
+	function apca(text, background) {
 
-		if (!arguments.length) return useSat;
+		var yt = apcaY(text),
+			yb = apcaY(background),
+			s;
 
-		useSat = !!state;
+		if (Math.abs(yb - yt) < 0.0005) return 0;
 
-		generateCanvas();
-		render();
+		if (yb > yt) {
+			s = (Math.pow(yb, 0.56) - Math.pow(yt, 0.57)) * 1.14;
+			return s < 0.1 ? 0 : (s - 0.027) * 100;
+		}
 
-		return this;
-	};
+		s = (Math.pow(yb, 0.65) - Math.pow(yt, 0.62)) * 1.14;
+		return s > -0.1 ? 0 : (s + 0.027) * 100;
+	}
+
+	// screen luminance with soft clamp of near-black
+	function apcaY(c) {
+
+		var y = 0.2126729 * Math.pow(c.r / 255, 2.4) +
+				0.7151522 * Math.pow(c.g / 255, 2.4) +
+				0.0721750 * Math.pow(c.b / 255, 2.4);
+
+		return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414)
+	}
 
+	/*
+	 *	CSS color strings
+	*/
 	/**
-	 * Change thickness of Hue ring. If no argument is given then
-	 * current thickness is returned.
+	 * Parse a CSS color string: hex (3, 4, 6 or 8 digits), rgb(), rgba(),
+	 * hsl(), hsla(), hwb(), a named color or "transparent".
 	 *
-	 * @param {Number} [t] - Factor or width max 30% of control diameter
-	 * @returns {*}
+	 * @param {String} str - CSS color string
+	 * @returns {{r: Number, g: Number, b: Number, a: Number}|null} RGBA or null if str is not a valid color
 	 */
-	this.thicknessHue = function(t) {
+	function parseColor(str) {
 
-		if (!arguments.length) return thickness;
-
-		if (t < 3) t = 3;
-		if (t > diameter * 0.3) t = (diameter * 0.3)|0;
+		var s = ("" + str).trim().toLowerCase(),
+			named = namedColors,
+			hex, match, args, alpha;
 
-		thickness = t;
+		if (s === 'transparent') return {r: 0, g: 0, b: 0, a: 0};
 
-		generateCanvas();
-		render();
+		if (Object.prototype.hasOwnProperty.call(named, s)) hex = named[s];
+		else if (s.charAt(0) === '#') hex = s.substr(1);
 
-		return this;
-	};
+		if (hex) {
+			if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) return null;
+			if (hex.length < 5) hex = hex.replace(/./g, '$&$&');
 
-	/**
-	 * Change thickness of lightnes ring. If no argument is given then
-	 * current thickness is returned.
-	 *
-	 * @param {Number} [t] - Factor or width max 20% of control diameter
-	 * @returns {*}
-	 */
-	this.thicknessLightness = function(t) {
+			return {
+				r: parseInt(hex.substr(0, 2), 16),
+				g: parseInt(hex.substr(2, 2), 16),
+				b: parseInt(hex.substr(4, 2), 16),
+				a: hex.length === 8 ? parseInt(hex.substr(6, 2), 16) / 255 : 1
+			}
+		}
 
-		if (!arguments.length) return thickness;
+		match = /^(rgba?|hsla?|hwb)\(([^()]*)\)$/.exec(s);
+		if (!match || !(args = parseArgs(match[2], match[1] !== 'hwb'))) return null;
 
-		if (t < 3) t = 3;
-		if (t > diameter * 0.2) t = (diameter * 0.2)|0;
+		alpha = args.length === 4 ? parseAlpha(args[3]) : 1;
+		if (alpha === null) return null;
 
-		lumaThickness = t;
+		if (match[1].charAt(0) === 'r') {
+			args = [parseChannel(args[0]), parseChannel(args[1]), parseChannel(args[2])];
+			if (args.indexOf(null) >= 0) return null;
+			match = validateRGB(Math.round(args[0]), Math.round(args[1]), Math.round(args[2]));
+		}
+		else {
+			args = [parseHue(args[0]), parsePercent(args[1]), parsePercent(args[2])];
+			if (args.indexOf(null) >= 0) return null;
+			match = match[1] === 'hwb' ? hwb2rgb(args[0], args[1], args[2]) : hsl2rgb(args[0], args[1], args[2]);
+		}
 
-		generateCanvas();
-		render();
+		match.a = alpha;
 
-		return this
-	};
+		return match
+	}
 
-	/**
-	 * A normalized factor of control's radius used for the color
-	 * spot. If no argument is given current radius factor is returned.
-	 *
-	 * @param {Number} [radiusFactor] - [0.0, 1.0]
-	 * @returns {*}
-	 */
-	this.colorSpotRadius = function(radiusFactor) {
+	// Splits arguments using either the legacy comma syntax or the
+	// space separated syntax with optional "/ alpha".
+	function parseArgs(str, allowLegacy) {
 
-		if (!arguments.length) return colorWidth;
+		var args;
 
-		colorWidth = +radiusFactor;
+		if (str.indexOf(',') >= 0) {
+			if (!allowLegacy || str.indexOf('/') >= 0) return null;
+			args = str.split(',').map(function(arg) {return arg.trim()});
+		}
+		else {
+			args = str.replace('/', ' / ').trim().split(/\s+/);
 
-		generateCanvas();
-		render();
+			if (args.length === 5 && args[3] === '/') args.splice(3, 1);
+			else if (args.length !== 3) return null;
+		}
 
-		return this
-	};
+		return (args.length === 3 || args.length === 4) ? args : null;
+	}
 
-	/**
-	 * Set or get color space (HSL or HSV).
-	 *
-	 * @param {String} [colSpace] - name of color space
-	 * @returns {*}
-	 */
-	this.colorSpace = function(colSpace) {
+	function parseNumber(str, units) {
 
-		if (!arguments.length || (colSpace !== 'hsl' && colSpace !== 'hsv'))
-			return isHSL ? 'hsl' : 'hsv';
+		var match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)$/.exec(str);
 
-		var rgb, c;
+		if (str === 'none') return {value: 0, unit: ''};	// CSS Color 4 missing component
+		if (!match || units.indexOf(match[2]) < 0) return null;
 
-		if (isHSL && colSpace === 'hsv') {
+		return {value: +match[1], unit: match[2]}
+	}
 
-			rgb = hsl2rgb(hue, saturation, lightness);
-			c = rgb2hsv(rgb.r, rgb.g, rgb.b);
+	function parseChannel(str) {
+		var n = parseNumber(str, ['', '%']);
+		return n ? Math.max(0, Math.min(n.unit ? n.value * 255 / 100 : n.value, 255)) : null;
+	}
 
-			hue = c.h;
-			saturation = c.s;
-			lightness = c.v;
+	function parsePercent(str) {
+		var n = parseNumber(str, ['', '%']);
+		return n ? Math.max(0, Math.min(n.value * 0.01, 1)) : null;
+	}
 
-		}
-		else if (!isHSL && colSpace === 'hsl') {
+	function parseAlpha(str) {
+		var n = parseNumber(str, ['', '%']);
+		return n ? Math.max(0, Math.min(n.unit ? n.value * 0.01 : n.value, 1)) : null;
+	}
 
-			rgb = hsv2rgb(hue, saturation, lightness);
-			c = rgb2hsl(rgb.r, rgb.g, rgb.b);
+	function parseHue(str) {
 
-			hue = c.h;
-			saturation = c.s;
-			lightness = c.l;
-		}
+		var n = parseNumber(str, ['', 'deg', 'rad', 'grad', 'turn']),
+			h;
 
-		isHSL = (colSpace === 'hsl');
+		if (!n) return null;
 
-		render();
-		sendEvent();
+		h = n.value * ({rad: r2d, grad: 0.9, turn: 360}[n.unit] || 1);
 
-		return this
-	};
+		return (h % 360 + 360) % 360;
+	}
 
 	/**
-	 * Set or get if lightness ring should allow mouse to click anywhere
-	 * in the ring to set new lightness. If off the knob only can be
-	 * used.
+	 * Format a color as a CSS color string. Alpha is included if < 1.
 	 *
-	 * @param {Boolean} [state]
-	 * @returns {*}
+	 * @param {{r: Number, g: Number, b: Number, a: Number}} color - RGB [0, 255] and optional alpha [0.0, 1.0]
+	 * @param {String} [format='hex'] - "hex", "rgb", "hsl" or "hwb"
+	 * @returns {String}
 	 */
-	this.lightnessClickable = function(state) {
-		if (!arguments.length) return lightClickable;
-		lightClickable = !!state;
-		return this
-	};
+	function formatColor(color, format) {
+
+		var c = validateRGB(color.r, color.g, color.b),
+			r = c.r,
+			g = c.g,
+			b = c.b,
+			alpha = color.a === undefined ? 1 : Math.max(0, Math.min(+color.a, 1)),
+			a = alpha < 1 ? Math.round(alpha * 1000) / 1000 : 1;
+
+		switch(format) {
+			case 'rgb':
+				return a < 1 ? 'rgba(' + r + ', ' + g + ', ' + b + ', ' + a + ')' : 'rgb(' + r + ', ' + g + ', ' + b + ')';
+
+			case 'hsl':
+				c = rgb2hsl(r, g, b);
+				c = round(c.h) + ', ' + round(c.s * 100) + '%, ' + round(c.l * 100) + '%';
+				return a < 1 ? 'hsla(' + c + ', ' + a + ')' : 'hsl(' + c + ')';
+
+			case 'hwb':
+				c = rgb2hwb(r, g, b);
+				return 'hwb(' + round(c.h) + ' ' + round(c.w * 100) + '% ' + round(c.b * 100) + '%' + (a < 1 ? ' / ' + a : '') + ')';
+
+			default:
+				return '#' + toHex(r) + toHex(g) + toHex(b) + (a < 1 ? toHex(Math.round(alpha * 255)) : '');
+		}
 
-	/**
-	 * Enable or disable holding the CTRL-key to lock Hue while moving
-	 * saturation.
-	 *
-	 * @param state
-	 * @returns {*}
-	 */
-	this.ctrlLock = function(state) {
-		if (!arguments.length) return ctrlLock;
-		ctrlLock = !!state;
-		return this
-	};
+		function round(v) {
+			return Math.round(v * 10) / 10;
+		}
+
+		function toHex(v) {
+			return (v < 16 ? '0' : '') + v.toString(16);
+		}
+	}
 
 	/*
-	 *	Convertion public vectors
+	 *	CSS named colors as hex values
 	*/
+	var namedColors = {
+		aliceblue:"f0f8ff", antiquewhite:"faebd7", aqua:"00ffff", aquamarine:"7fffd4", azure:"f0ffff", beige:"f5f5dc",
+		bisque:"ffe4c4", black:"000000", blanchedalmond:"ffebcd", blue:"0000ff", blueviolet:"8a2be2", brown:"a52a2a",
+		burlywood:"deb887", cadetblue:"5f9ea0", chartreuse:"7fff00", chocolate:"d2691e", coral:"ff7f50", cornflowerblue:"6495ed",
+		cornsilk:"fff8dc", crimson:"dc143c", cyan:"00ffff", darkblue:"00008b", darkcyan:"008b8b", darkgoldenrod:"b8860b",
+		darkgray:"a9a9a9", darkgreen:"006400", darkgrey:"a9a9a9", darkkhaki:"bdb76b", darkmagenta:"8b008b", darkolivegreen:"556b2f",
+		darkorange:"ff8c00", darkorchid:"9932cc", darkred:"8b0000", darksalmon:"e9967a", darkseagreen:"8fbc8f",
+		darkslateblue:"483d8b", darkslategray:"2f4f4f", darkslategrey:"2f4f4f", darkturquoise:"00ced1", darkviolet:"9400d3",
+		deeppink:"ff1493", deepskyblue:"00bfff", dimgray:"696969", dimgrey:"696969", dodgerblue:"1e90ff", firebrick:"b22222",
+		floralwhite:"fffaf0", forestgreen:"228b22", fuchsia:"ff00ff", gainsboro:"dcdcdc", ghostwhite:"f8f8ff",
+		gold:"ffd700", goldenrod:"daa520", gray:"808080", green:"008000", greenyellow:"adff2f", grey:"808080",
+		honeydew:"f0fff0", hotpink:"ff69b4", indianred:"cd5c5c", indigo:"4b0082", ivory:"fffff0", khaki:"f0e68c",
+		lavender:"e6e6fa", lavenderblush:"fff0f5", lawngreen:"7cfc00", lemonchiffon:"fffacd", lightblue:"add8e6",
+		lightcoral:"f08080", lightcyan:"e0ffff", lightgoldenrodyellow:"fafad2", lightgray:"d3d3d3", lightgreen:"90ee90",
+		lightgrey:"d3d3d3", lightpink:"ffb6c1", lightsalmon:"ffa07a", lightseagreen:"20b2aa", lightskyblue:"87cefa",
+		lightslategray:"778899", lightslategrey:"778899", lightsteelblue:"b0c4de", lightyellow:"ffffe0", lime:"00ff00",
+		limegreen:"32cd32", linen:"faf0e6", magenta:"ff00ff", maroon:"800000", mediumaquamarine:"66cdaa", mediumblue:"0000cd",
+		mediumorchid:"ba55d3", mediumpurple:"9370db", mediumseagreen:"3cb371", mediumslateblue:"7b68ee", mediumspringgreen:"00fa9a",
+		mediumturquoise:"48d1cc", mediumvioletred:"c71585", midnightblue:"191970", mintcream:"f5fffa", mistyrose:"ffe4e1",
+		moccasin:"ffe4b5", navajowhite:"ffdead", navy:"000080", oldlace:"fdf5e6", olive:"808000", olivedrab:"6b8e23",
+		orange:"ffa500", orangered:"ff4500", orchid:"da70d6", palegoldenrod:"eee8aa", palegreen:"98fb98", paleturquoise:"afeeee",
+		palevioletred:"db7093", papayawhip:"ffefd5", peachpuff:"ffdab9", peru:"cd853f", pink:"ffc0cb", plum:"dda0dd",
+		powderblue:"b0e0e6", purple:"800080", rebeccapurple:"663399", red:"ff0000", rosybrown:"bc8f8f", royalblue:"4169e1",
+		saddlebrown:"8b4513", salmon:"fa8072", sandybrown:"f4a460", seagreen:"2e8b57", seashell:"fff5ee", sienna:"a0522d",
+		silver:"c0c0c0", skyblue:"87ceeb", slateblue:"6a5acd", slategray:"708090", slategrey:"708090", snow:"fffafa",
+		springgreen:"00ff7f", steelblue:"4682b4", tan:"d2b48c", teal:"008080", thistle:"d8bfd8", tomato:"ff6347",
+		turquoise:"40e0d0", violet:"ee82ee", wheat:"f5deb3", white:"ffffff", whitesmoke:"f5f5f5", yellow:"ffff00",
+		yellowgreen:"9acd32"
+	};
 
-	/**
-	 * Convert RGB to HSL
-	 * @method
-	 * @param {number} r - red component [0, 255]
-	 * @param {number} g - green component [0, 255]
-	 * @param {number} b - blue component [0, 255]
-	 * @returns {object} Object with properties h, s, l
-	 */
-	this.rgb2hsl = rgb2hsl;
-
-	/**
-	 * Convert RGB to HSL
-	 * @method
-	 * @param {number} r - red component [0, 255]
-	 * @param {number} g - green component [0, 255]
-	 * @param {number} b - blue component [0, 255]
-	 * @returns {object} Object with properties h, s, v
-	 */
-	this.rgb2hsv = rgb2hsv;
-
-	/**
-	 * Convert HSV to RGB
-	 * @method
-	 * @param {number} h - hue [0, 360>
-	 * @param {number} s - saturation [0.0, 1.0]
-	 * @param {number} v - brightness [0.0, 1.0]
-	 * @returns {object} Object with properties r, g, b
-	 */
-	this.hsv2rgb = hsv2rgb;
-
-	/**
-	 * Convert HSL to RGB
-	 * @method
-	 * @param {number} h - hue [0, 360>
-	 * @param {number} s - saturation [0.0, 1.0]
-	 * @param {number} l - lightness [0.0, 1.0]
-	 * @returns {object} Object with properties r, g, b
-	 */
-	this.hsl2rgb = hsl2rgb;
-}
+	return {
+		validateRGB: validateRGB,
+		hsl2rgb: hsl2rgb,
+		hsv2rgb: hsv2rgb,
+		hwb2rgb: hwb2rgb,
+		rgb2hsl: rgb2hsl,
+		rgb2hsv: rgb2hsv,
+		rgb2hwb: rgb2hwb,
+		cmyk2rgb: cmyk2rgb,
+		rgb2cmyk: rgb2cmyk,
+		oklab2rgb: oklab2rgb,
+		rgb2oklab: rgb2oklab,
+		oklch2rgb: oklch2rgb,
+		rgb2oklch: rgb2oklch,
+		oklchInGamut: oklchInGamut,
+		lab2rgb: lab2rgb,
+		rgb2lab: rgb2lab,
+		lch2rgb: lch2rgb,
+		rgb2lch: rgb2lch,
+		lchInGamut: lchInGamut,
+		luminance: luminance,
+		contrast: contrast,
+		apca: apca,
+		parse: parseColor,
+		format: formatColor,
+		namedColors: namedColors
+	}
+})();
 
-/**
- * Event object for HueWheel (onchange)
- *
- * @event HueWheel#mouseEvent
- * @type {Object}
- * @prop {Number} h - current hue [0, 360>
- * @prop {Number} s - current saturation [0.0, 1.0]
- * @prop {Number} l - (if HSL mode) current lightness [0.0, 0.1]
- * @prop {Number} v - (if HSV mode) current brightness [0.0, 0.1]
- * @prop {Number} r - current red [0, 255]
- * @prop {Number} g - current green [0, 255]
- * @prop {Number} b - current blue [0, 255]
- * @prop {Number} x - current x position in wheel
- * @prop {Number} y - current y position in wheel
- * @prop {Boolean} isTouch - Event was triggered by touch and not mouse
- */
+if (typeof module === "object" && module.exports) module.exports = HueWheel;
+else if (typeof globalThis === "object") globalThis.HueWheel = HueWheel;	// loaded as ES module (see convert.mjs)
@@ -0,0 +1,282 @@
+/*
+ *	Tests for the DOM-free color conversions (HueWheel.convert).
+ *
+ *	Run with plain Node:  node test/convert.test.js
+*/
+
+var assert = require('node:assert'),
+	convert = require('../src/convert.js'),
+	grid = [],
+	count = 0,
+	i;
+
+for(i = 0; i <= 255; i += 15) grid.push(i);
+
+function test(name, fn) {
+	try {
+		fn();
+		count++;
+	}
+	catch(err) {
+		console.error('FAIL ' + name);
+		throw err;
+	}
+}
+
+// calls fn for each color in a grid of sRGB values
+function eachRGB(fn) {
+	grid.forEach(function(r) {
+		grid.forEach(function(g) {
+			grid.forEach(function(b) {
+				fn(r, g, b);
+			});
+		});
+	});
+}
+
+function assertRGB(actual, r, g, b, tolerance, message) {
+	tolerance = tolerance || 0;
+	assert.ok(Math.abs(actual.r - r) <= tolerance && Math.abs(actual.g - g) <= tolerance && Math.abs(actual.b - b) <= tolerance,
+		(message || '') + ' expected ' + [r, g, b] + ', got ' + [actual.r, actual.g, actual.b]);
+}
+
+function assertNear(actual, expected, tolerance, message) {
+	assert.ok(Math.abs(actual - expected) <= tolerance, (message || '') + ' expected ' + expected + ', got ' + actual);
+}
+
+/*
+ *	Round-trips over the sRGB grid
+*/
+test('rgb <-> hsl', function() {
+	eachRGB(function(r, g, b) {
+		var c = convert.rgb2hsl(r, g, b);
+		assertRGB(convert.hsl2rgb(c.h, c.s, c.l), r, g, b, 0, 'hsl');
+	});
+});
+
+test('rgb <-> hsv', function() {
+	eachRGB(function(r, g, b) {
+		var c = convert.rgb2hsv(r, g, b);
+		assertRGB(convert.hsv2rgb(c.h, c.s, c.v), r, g, b, 0, 'hsv');
+	});
+});
+
+test('rgb <-> hwb', function() {
+	eachRGB(function(r, g, b) {
+		var c = convert.rgb2hwb(r, g, b);
+		assertRGB(convert.hwb2rgb(c.h, c.w, c.b), r, g, b, 0, 'hwb');
+	});
+});
+
+test('rgb <-> cmyk', function() {
+	eachRGB(function(r, g, b) {
+		var c = convert.rgb2cmyk(r, g, b);
+		assertRGB(convert.cmyk2rgb(c.c, c.m, c.y, c.k), r, g, b, 0, 'cmyk');
+	});
+});
+
+test('rgb <-> oklab', function() {
+	eachRGB(function(r, g, b) {
+		var c = convert.rgb2oklab(r, g, b);
+		assertRGB(convert.oklab2rgb(c.l, c.a, c.b), r, g, b, 0, 'oklab');
+	});
+});
+
+test('rgb <-> oklch', function() {
+	eachRGB(function(r, g, b) {
+		var c = convert.rgb2oklch(r, g, b);
+		assertRGB(convert.oklch2rgb(c.l, c.c, c.h), r, g, b, 1, 'oklch');
+	});
+});
+
+test('rgb <-> lab (D50 and D65)', function() {
+	['D50', 'D65'].forEach(function(wp) {
+		eachRGB(function(r, g, b) {
+			var c = convert.rgb2lab(r, g, b, wp);
+			assertRGB(convert.lab2rgb(c.l, c.a, c.b, wp), r, g, b, 0, 'lab ' + wp);
+		});
+	});
+});
+
+test('rgb <-> lch (D50 and D65)', function() {
+	['D50', 'D65'].forEach(function(wp) {
+		eachRGB(function(r, g, b) {
+			var c = convert.rgb2lch(r, g, b, wp);
+			assertRGB(convert.lch2rgb(c.l, c.c, c.h, wp), r, g, b, 1, 'lch ' + wp);
+		});
+	});
+});
+
+/*
+ *	Known values
+*/
+test('reference values', function() {
+	var c = convert.rgb2hsl(255, 136, 0);
+	assertNear(c.h, 32, 0.1);
+	assertNear(c.s, 1, 1e-9);
+	assertNear(c.l, 0.5, 1e-9);
+
+	c = convert.rgb2oklab(255, 255, 255);
+	assertNear(c.l, 1, 1e-4);
+	assertNear(c.a, 0, 1e-4);
+	assertNear(c.b, 0, 1e-4);
+
+	c = convert.rgb2oklch(255, 0, 0);
+	assertNear(c.l, 0.628, 1e-3);
+	assertNear(c.c, 0.2577, 1e-3);
+	assertNear(c.h, 29.23, 0.05);
+
+	c = convert.rgb2lab(255, 0, 0, 'D50');
+	assertNear(c.l, 54.29, 0.05);
+	assertNear(c.a, 80.80, 0.1);
+	assertNear(c.b, 69.89, 0.1);
+
+	assert.deepStrictEqual(convert.rgb2cmyk(255, 255, 255), {c: 0, m: 0, y: 0, k: 0});
+	assert.strictEqual(convert.rgb2cmyk(0, 0, 0).k, 1);
+	assert.deepStrictEqual(convert.validateRGB(-5, 255.4, 300), {r: 0, g: 255, b: 255});
+});
+
+/*
+ *	Hue wraps around for any angle
+*/
+test('hue wrap', function() {
+	assertRGB(convert.hsv2rgb(360, 1, 1), 255, 0, 0);
+	assertRGB(convert.hsv2rgb(-30, 1, 1), 255, 0, 128);
+	assertRGB(convert.hsv2rgb(750, 1, 1), 255, 128, 0);
+	assertRGB(convert.hsl2rgb(360, 1, 0.5), 255, 0, 0);
+	assertRGB(convert.hsl2rgb(-30, 1, 0.5), 255, 0, 128);
+	assertRGB(convert.hsl2rgb(720, 1, 0.5), 255, 0, 0);
+	assertRGB(convert.hwb2rgb(-120, 0, 0), 0, 0, 255);
+	assertRGB(convert.hwb2rgb(480, 0, 0), 0, 255, 0);
+	assertRGB(convert.oklch2rgb(0.628, 0.2577, 29.23 + 360), 255, 0, 0, 1);
+	assertRGB(convert.lch2rgb(54.29, 106.84, 40.85 - 360, 'D50'), 255, 0, 0, 1);
+
+	[0, 45, 90, 180, 270, 359].forEach(function(h) {
+		assert.deepStrictEqual(convert.hsv2rgb(h + 360, 0.8, 0.9), convert.hsv2rgb(h, 0.8, 0.9));
+		assert.deepStrictEqual(convert.hsl2rgb(h - 360, 0.8, 0.4), convert.hsl2rgb(h, 0.8, 0.4));
+	});
+});
+
+/*
+ *	Colors outside sRGB are mapped into it keeping lightness and hue
+*/
+test('gamut mapping', function() {
+	[[0.7, 0.4, 150], [0.5, 0.4, 260], [0.9, 0.3, 100], [0.3, 0.35, 30]].forEach(function(v) {
+		var rgb = convert.oklch2rgb(v[0], v[1], v[2]),
+			c = convert.rgb2oklch(rgb.r, rgb.g, rgb.b);
+
+		assert.strictEqual(convert.oklchInGamut(v[0], v[1], v[2]), false);
+		assertNear(c.l, v[0], 0.02, 'oklch lightness');
+		assertNear(c.h, v[2], 5, 'oklch hue');	// clipping within a JND shifts hue slightly (CSS Color 4)
+		assert.ok(c.c < v[1], 'oklch chroma reduced');
+	});
+
+	[[50, 150, 140], [70, 130, 300]].forEach(function(v) {
+		var rgb = convert.lch2rgb(v[0], v[1], v[2], 'D50'),
+			c = convert.rgb2lch(rgb.r, rgb.g, rgb.b, 'D50');
+
+		assert.strictEqual(convert.lchInGamut(v[0], v[1], v[2], 'D50'), false);
+		assertNear(c.l, v[0], 2, 'lch lightness');
+		assertNear(c.h, v[2], 5, 'lch hue');
+	});
+
+	assert.strictEqual(convert.oklchInGamut(0.5, 0.05, 200), true);
+	assert.strictEqual(convert.lchInGamut(50, 10, 0, 'D65'), true);
+
+	eachRGB(function(r, g, b) {
+		var c = convert.rgb2oklch(r, g, b),
+			lch = convert.rgb2lch(r, g, b, 'D65');
+
+		assert.ok(convert.oklchInGamut(c.l, c.c, c.h), 'sRGB color in OKLCH gamut');
+		assert.ok(convert.lchInGamut(lch.l, lch.c, lch.h, 'D65'), 'sRGB color in LCh gamut');
+	});
+});
+
+/*
+ *	CSS parsing and formatting
+*/
+test('parse', function() {
+	var orange = {r: 255, g: 136, b: 0, a: 1};
+
+	[
+		'#f80', '#FF8800', '#f80f', '#ff8800ff', ' #ff8800 ',
+		'rgb(255, 136, 0)', 'rgba(255, 136, 0, 1)', 'rgb(255 136 0)', 'rgb(255 136 0 / 1)', 'rgb(255 136 0 / 100%)',
+		'rgb(100% 53.333% 0%)', 'RGB(255,136,0)',
+		'hsl(32, 100%, 50%)', 'hsla(32, 100%, 50%, 1)', 'hsl(32 100% 50%)', 'hsl(32deg 100% 50%)', 'hsl(32 100 50)',
+		'hsl(392 100% 50%)', 'hsl(-328 100% 50%)', 'hsl(0.0889turn 100% 50%)', 'hsl(35.556grad 100% 50%)', 'hsl(0.5585rad 100% 50%)',
+		'hwb(32 0% 0%)', 'hwb(32deg 0% 0% / 1)'
+	].forEach(function(str) {
+		assert.deepStrictEqual(convert.parse(str), orange, str);
+	});
+
+	assert.deepStrictEqual(convert.parse('#ff880080'), {r: 255, g: 136, b: 0, a: 128 / 255});
+	assert.deepStrictEqual(convert.parse('rgba(255, 136, 0, 0.5)'), {r: 255, g: 136, b: 0, a: 0.5});
+	assert.deepStrictEqual(convert.parse('rgb(255 136 0 / 50%)'), {r: 255, g: 136, b: 0, a: 0.5});
+	assert.deepStrictEqual(convert.parse('hsl(none 0% 100%)'), {r: 255, g: 255, b: 255, a: 1});
+	assert.deepStrictEqual(convert.parse('rgb(300 -5 0)'), {r: 255, g: 0, b: 0, a: 1});
+	assert.deepStrictEqual(convert.parse('transparent'), {r: 0, g: 0, b: 0, a: 0});
+	assert.deepStrictEqual(convert.parse('RebeccaPurple'), {r: 102, g: 51, b: 153, a: 1});
+
+	Object.keys(convert.namedColors).forEach(function(name) {
+		var c = convert.parse(name);
+		assert.strictEqual(convert.format(c, 'hex'), '#' + convert.namedColors[name], name);
+	});
+
+	[
+		'', 'bogus', '#ff880', '#ff88000', '#gg8800', 'rgb(255, 136)', 'rgb(255 136 0 0)', 'rgb(255, 136, 0 / 1)',
+		'hwb(32, 0%, 0%)', 'hsl(32 100% 50%', 'rgb(a b c)', 'hsl(32px 100% 50%)', 'oklch(0.7 0.1 30)'
+	].forEach(function(str) {
+		assert.strictEqual(convert.parse(str), null, str);
+	});
+});
+
+test('format', function() {
+	var c = {r: 255, g: 136, b: 0, a: 1},
+		ca = {r: 255, g: 136, b: 0, a: 0.5};
+
+	assert.strictEqual(convert.format(c), '#ff8800');
+	assert.strictEqual(convert.format(c, 'hex'), '#ff8800');
+	assert.strictEqual(convert.format(ca, 'hex'), '#ff880080');
+	assert.strictEqual(convert.format(c, 'rgb'), 'rgb(255, 136, 0)');
+	assert.strictEqual(convert.format(ca, 'rgb'), 'rgba(255, 136, 0, 0.5)');
+	assert.strictEqual(convert.format(c, 'hsl'), 'hsl(32, 100%, 50%)');
+	assert.strictEqual(convert.format(ca, 'hsl'), 'hsla(32, 100%, 50%, 0.5)');
+	assert.strictEqual(convert.format(c, 'hwb'), 'hwb(32 0% 0%)');
+	assert.strictEqual(convert.format(ca, 'hwb'), 'hwb(32 0% 0% / 0.5)');
+	assert.strictEqual(convert.format({r: 1, g: 2, b: 3}), '#010203');
+	assert.strictEqual(convert.format({r: -1, g: 256.2, b: 3.6, a: 2}, 'rgb'), 'rgb(0, 255, 4)');
+
+	eachRGB(function(r, g, b) {
+		['hex', 'rgb', 'hsl', 'hwb'].forEach(function(format) {
+			var p = convert.parse(convert.format({r: r, g: g, b: b, a: 0.25}, format));
+			assertRGB(p, r, g, b, format === 'hex' || format === 'rgb' ? 0 : 1, format);
+			assertNear(p.a, 0.25, 0.002, format + ' alpha');
+		});
+	});
+});
+
+/*
+ *	WCAG 2.x contrast and APCA
+*/
+test('contrast', function() {
+	var black = {r: 0, g: 0, b: 0},
+		white = {r: 255, g: 255, b: 255};
+
+	assertNear(convert.luminance(255, 255, 255), 1, 1e-9);
+	assertNear(convert.luminance(0, 0, 0), 0, 1e-9);
+	assertNear(convert.luminance(255, 0, 0), 0.2126, 1e-4);
+
+	assertNear(convert.contrast(black, white), 21, 1e-9);
+	assertNear(convert.contrast(white, black), 21, 1e-9);
+	assertNear(convert.contrast(white, white), 1, 1e-9);
+	assertNear(convert.contrast({r: 118, g: 118, b: 118}, white), 4.54, 0.01);
+	assertNear(convert.contrast({r: 0, g: 0, b: 255}, white), 8.59, 0.01);
+
+	assertNear(convert.apca(black, white), 106.04, 0.01);
+	assertNear(convert.apca(white, black), -107.88, 0.01);
+	assertNear(convert.apca({r: 136, g: 136, b: 136}, white), 63.06, 0.01);
+	assertNear(convert.apca(white, {r: 136, g: 136, b: 136}), -68.54, 0.01);
+	assert.strictEqual(convert.apca(white, white), 0);
+});
+
+console.log(count + ' tests passed');